@@ -1,10 +1,16 @@
-/* BrainPreserve tables module — SAFE RESET (renders-all fallback) + Mojibake fix + No-HTML number chooser
+/* BrainPreserve tables module — SAFE RESET (renders-all fallback) + prebuilt dataset
    What this version guarantees:
    - If NO ingredients are provided to renderTables(...), it shows ALL rows (safe fallback).
    - If ingredients ARE provided, it filters to ONLY those rows (case-insensitive; alias-aware via master.csv).
-   - Aggressively cleans mojibake (Ã¢ÂÂ etc.) and removes the replacement char (�), including combos like "�–".
-   - Drops blank CSV rows and hides phantom/always-empty columns.
-   - Auto-injects a "Number of recipes (optional)" input above the selections button WITHOUT editing index.html.
+   - Loads one prebuilt /data/dataset.json (clean UTF-8, typed numbers/booleans, alias index) made from the
+     CSVs by `node scripts/build-data.js`, so no CSV parsing or mojibake repair happens in the browser.
+   - Hides phantom/always-empty columns.
+   - Nutrition, cognitive, diet and microbiome tables sort by column (numbers numerically, blanks last), filter by
+     text and column ranges ("gl <= 10", "calories 50-200", "mind_diet=yes"), hide columns and page long results,
+     all on the already-loaded rows.
+   - Scores ingredients against the nutrition goals and ranks same-category swaps for the ones that conflict.
+   - Compares up to four ingredients side by side (nutrition, diet flags, microbiome role, cognitive mechanisms)
+     with an inline SVG chart of calories, protein, fiber and glycemic load per serving.
 */
 
 (function () {
@@ -13,14 +19,9 @@
   // =========================
   const CFG = {
     paths: {
-      master:   '/data/master.csv',
-      nutrition:'/data/table_nutrition.csv',
-      cognitive:'/data/table_cognitive_benefits.csv',
-      diet:     '/data/table_diet_compatibility.csv',
-      micro:    '/data/table_microbiome.csv'
+      dataset:  '/data/dataset.json'   // rebuild with: node scripts/build-data.js
     },
     keyColumns:   ['ingredient_name', 'ingredient', 'food', 'item', 'name'],
-    aliasColumns: ['aliases', 'alias', 'also_known_as'],
     // IMPORTANT: keep true to avoid "no tables" if some flow forgets to pass ingredients.
     renderAllWhenNoIngredients: true
   };
@@ -33,6 +34,8 @@
     master: [],
     masterIndex: new Map(),   // normName -> CanonicalName
     aliasToCanon: new Map(),  // normAlias -> CanonicalName
+    categoryOf: new Map(),    // CanonicalName -> master.csv category
+    allergensOf: new Map(),   // CanonicalName -> allergens.csv tags (['tree-nuts', 'gluten', ...])
     tables: { nutrition: [], cognitive: [], diet: [], micro: [] }
   };
 
@@ -48,54 +51,12 @@
       .trim();
   }
 
-  // --- Robust mojibake fixer ---
-  function maybeRecodeUTF8(s) {
-    // If text looks garbled (Latin-1 mis-decoded UTF-8), reinterpret.
-    const suspect = /[ÃÂâ€¢]|â|Ã¢Â|Ãƒ|ï¿½/.test(s);
-    if (!suspect) return s;
-    try {
-      const bytes = Uint8Array.from([...s].map(ch => ch.charCodeAt(0) & 0xFF));
-      const decoded = new TextDecoder('utf-8').decode(bytes);
-      const score = t => (t.match(/[ÃÂâ€¢]|â|Ã¢Â|Ãƒ|ï¿½/g) || []).length;
-      if (score(decoded) <= score(s)) s = decoded;
-    } catch (_) {}
-    if (s.charCodeAt(0) === 0xFEFF) s = s.slice(1); // strip BOM
-    return s;
-  }
-
-  // Display sanitizer — includes stubborn sequences + U+FFFD (�) removal
-  function cleanDisplay(val) {
-    let s = String(val ?? '');
-    s = s.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-    s = s.replace(/\u00A0/g, ' ');      // NBSP → space
-    s = maybeRecodeUTF8(s);
-
-    const replacements = [
-      // Single quotes (’ ‘) — includes exact "Ã¢ÂÂ"
-      [/Ã¢ÂÂ|Ã¢Â€Â™|â€™|â/g, '’'],
-      [/Ã¢ÂÂ˜|Ã¢Â€Â˜|â€˜|â˜/g, '‘'],
-      // Double quotes (“ ”)
-      [/Ã¢ÂÂœ|Ã¢Â€Âœ|â€œ|â/g, '“'],
-      [/Ã¢ÂÂ�|Ã¢Â€Â�|â€|â/g, '”'],
-      // Dashes
-      [/Ã¢ÂÂ“|Ã¢Â€Â“|â€“|â/g, '–'],
-      [/Ã¢ÂÂ”|Ã¢Â€Â”|â€”|â/g, '—'],
-      // Ellipsis
-      [/Ã¢ÂÂ¦|Ã¢Â€Â¦|â€¦|â¦/g, '…'],
-      // Stray "Â"/"Ã‚"
-      [/Ã‚|Â/g, '']
-    ];
-    for (const [pat, rep] of replacements) s = s.replace(pat, rep);
-
-    // Explicitly remove the Unicode replacement char (�) and common combos
-    s = s.replace(/\uFFFD\s*–/g, '–');  // �– → –
-    s = s.replace(/–\s*\uFFFD/g, '–');  // –� → –
-    s = s.replace(/\uFFFD\s*-\s*/g, '-'); // �- → -
-    s = s.replace(/-\s*\uFFFD/g, '-');    // -� → -
-    s = s.replace(/\uFFFD+/g, '');        // any remaining �
-
-    s = s.replace(/[ \t]{2,}/g, ' ');
-    return s.trim();
+  // Table cell text; the dataset is already clean, so only booleans and blanks need translating
+  function displayValue(v) {
+    if (v === true) return 'yes';
+    if (v === false) return 'no';
+    if (v == null || String(v).trim() === '') return '—';
+    return String(v);
   }
 
   // Hide phantom headers (_1, Unnamed: 1, Column3) and empty-for-all columns
@@ -119,13 +80,6 @@
     return headers;
   }
 
-  // Drop rows where every cell is blank
-  function dropEmptyRows(rows) {
-    return (rows || []).filter(row =>
-      Object.values(row).some(v => String(v ?? '').trim() !== '')
-    );
-  }
-
   function pick(obj, candidateKeys) {
     const keys = Object.keys(obj);
     for (const k of candidateKeys) {
@@ -140,59 +94,17 @@
     return p ? String(p.value) : '';
   }
 
-  function splitAliases(val) {
-    if (val == null || val === '') return [];
-    return String(val).split(/[;,]/g).map(x => norm(x)).filter(Boolean);
-  }
-
-  // CSV loader with pre-parse mojibake repair
-  function csv(path) {
-    return new Promise((resolve, reject) => {
-      Papa.parse(path, {
-        download: true,
-        header: true,
-        dynamicTyping: false,
-        skipEmptyLines: true,
-        beforeFirstChunk: function (chunk) {
-          let fixed = chunk || '';
-          if (fixed && fixed.charCodeAt(0) === 0xFEFF) fixed = fixed.slice(1);
-          fixed = maybeRecodeUTF8(fixed);
-          fixed = fixed.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-          return fixed;
-        },
-        complete: (res) => {
-          const rows = dropEmptyRows(res.data || []);
-          // Light clean pass for all string fields
-          for (const row of rows) {
-            for (const k of Object.keys(row)) {
-              const v = row[k];
-              if (typeof v === 'string') row[k] = cleanDisplay(v);
-            }
-          }
-          resolve(rows);
-        },
-        error: reject
-      });
-    });
-  }
-
-  function buildMasterIndexes() {
-    DATA.masterIndex.clear();
-    DATA.aliasToCanon.clear();
+  // Name and alias indexes come precomputed (keyed by the same norm() as above)
+  function buildMasterIndexes(index) {
+    DATA.masterIndex = new Map(Object.entries(index.names || {}));
+    DATA.aliasToCanon = new Map(Object.entries(index.aliases || {}));
+    DATA.categoryOf.clear();
+    DATA.allergensOf.clear();
 
     for (const row of DATA.master) {
-      const rawName = getKeyValue(row);
-      if (!rawName) continue;
-      const canonName = String(rawName).trim();
-      const normName  = norm(rawName);
-      if (!DATA.masterIndex.has(normName)) DATA.masterIndex.set(normName, canonName);
-
-      const aliasField = pick(row, CFG.aliasColumns);
-      if (aliasField && aliasField.value) {
-        for (const a of splitAliases(aliasField.value)) {
-          if (!DATA.aliasToCanon.has(a)) DATA.aliasToCanon.set(a, canonName);
-        }
-      }
+      const canonName = getKeyValue(row).trim();
+      if (canonName && row.category && !DATA.categoryOf.has(canonName)) DATA.categoryOf.set(canonName, row.category);
+      if (canonName && !DATA.allergensOf.has(canonName)) DATA.allergensOf.set(canonName, row.allergens || []);
     }
   }
 
@@ -225,25 +137,1446 @@
     return out;
   }
 
+  // =========================
+  // NUTRITION TOTALS (recipe quantities scaled against serving_size)
+  // =========================
+  const NUTRIENT_COLUMNS = ['calories', 'carbohydrates_gm', 'glycemic_load', 'protein_gm', 'fiber_gm'];
+
+  // Everything is converted to grams (mass), millilitres (volume) or a plain count
+  const UNITS = {
+    g: ['mass', 1], gram: ['mass', 1], grams: ['mass', 1], kg: ['mass', 1000],
+    oz: ['mass', 28.35], ounce: ['mass', 28.35], ounces: ['mass', 28.35],
+    lb: ['mass', 453.6], lbs: ['mass', 453.6], pound: ['mass', 453.6], pounds: ['mass', 453.6],
+    ml: ['volume', 1], l: ['volume', 1000], liter: ['volume', 1000], litre: ['volume', 1000],
+    tsp: ['volume', 4.93], teaspoon: ['volume', 4.93], teaspoons: ['volume', 4.93],
+    tbsp: ['volume', 14.79], tablespoon: ['volume', 14.79], tablespoons: ['volume', 14.79],
+    cup: ['volume', 236.6], cups: ['volume', 236.6],
+    'fl oz': ['volume', 29.57],
+    '': ['count', 1], each: ['count', 1], whole: ['count', 1], medium: ['count', 1], large: ['count', 1],
+    small: ['count', 1], piece: ['count', 1], pieces: ['count', 1], slice: ['count', 1], slices: ['count', 1],
+    fillet: ['count', 1], fillets: ['count', 1], stalk: ['count', 1], stalks: ['count', 1],
+    clove: ['count', 1], cloves: ['count', 1]
+  };
+  const FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 0.125 };
+
+  function parseNum(v) {
+    const n = parseFloat(String(v ?? '').replace(/,/g, ''));
+    return Number.isFinite(n) ? n : NaN;
+  }
+
+  function toBase(qty, unit) {
+    const u = norm(unit).replace(/\.$/, '');
+    const def = UNITS[u];
+    return def ? { dim: def[0], amount: qty * def[1] } : null;
+  }
+
+  // "½ cup cooked (small fist)" -> { qty: 0.5, unit: 'cup' }; "1 - 2 tbsp" -> 1.5 tbsp; first option wins on "a / b"
+  function parseServingSize(text) {
+    let s = String(text || '').split('/')[0].split(/\bor\b/)[0];
+    s = s.replace(/[¼½¾⅓⅔⅛]/g, ch => ' ' + FRACTIONS[ch] + ' ');
+    const m = s.match(/(\d+(?:\.\d+)?)\s*(?:(?:\d+(?:\.\d+)?)?\s*[-–—’]\s*(\d+(?:\.\d+)?))?\s*(fl oz|[a-z]+)?/i);
+    if (!m) return null;
+    const lead = s.slice(0, m.index).match(/(\d+(?:\.\d+)?)\s*$/); // "1 ½" -> 1.5
+    let qty = parseFloat(m[1]) + (lead ? parseFloat(lead[1]) : 0);
+    if (m[2]) qty = (qty + parseFloat(m[2])) / 2;
+    const unit = m[3] && UNITS[norm(m[3])] ? m[3] : '';
+    return { qty, unit };
+  }
+
+  function findRow(rows, canonName) {
+    return rows.find(r => {
+      const k = getKeyValue(r);
+      return k && (lookupCanonical(k) || k.trim()) === canonName;
+    });
+  }
+
+  // How many table servings a recipe ingredient line represents; approx=true when units could not be reconciled
+  function servingsFor(ing, servingSize) {
+    if (ing.quantity == null || !Number.isFinite(Number(ing.quantity))) return { servings: 1, approx: true };
+    const have = toBase(Number(ing.quantity), ing.unit || '');
+    const ref = parseServingSize(servingSize);
+    const want = ref ? toBase(ref.qty, ref.unit) : null;
+    if (!have || !want || !want.amount) return { servings: 1, approx: true };
+    if (have.dim === want.dim) return { servings: have.amount / want.amount, approx: false };
+    // Treat plain "oz" as fluid ounces when the other side is a volume (e.g. 8 oz coffee vs 1 cup)
+    const u = norm(ing.unit), r = norm(ref.unit);
+    if (u === 'oz' && want.dim === 'volume') return { servings: (Number(ing.quantity) * 29.57) / want.amount, approx: false };
+    if (r === 'oz' && have.dim === 'volume') return { servings: have.amount / (ref.qty * 29.57), approx: false };
+    return { servings: 1, approx: true };
+  }
+
+  // GL per table serving; falls back to GI × carbs / 100 when the glycemic_load cell is blank or non-numeric
+  function servingGlycemicLoad(row) {
+    const gl = parseNum(row.glycemic_load);
+    if (Number.isFinite(gl)) return gl;
+    const gi = parseNum(row.glycemic_index), carbs = parseNum(row.carbohydrates_gm);
+    return Number.isFinite(gi) && Number.isFinite(carbs) ? (gi * carbs) / 100 : NaN;
+  }
+
+  // Per-serving GL against a budget, with the biggest contributors first (candidates for swaps)
+  function assessGlycemicLoad(recipe, budget) {
+    const n = computeRecipeNutrition(recipe);
+    const perServing = n.perServing.glycemic_load;
+    const contributors = n.items
+      .filter(i => i.values.glycemic_load > 0)
+      .map(i => ({ name: i.name, canonical: i.canonical, glycemicLoad: i.values.glycemic_load / n.servings }))
+      .sort((a, b) => b.glycemicLoad - a.glycemicLoad);
+    return { perServing, budget, over: perServing >= budget, contributors, unmatched: n.unmatched };
+  }
+
+  function resolveIngredient(name) {
+    const direct = lookupCanonical(name);
+    if (direct) return direct;
+    const hits = window.BP.deriveIngredientsFromRecipe(name);
+    return hits.length ? hits[0] : undefined;
+  }
+
+  function computeRecipeNutrition(recipe) {
+    const totals = Object.fromEntries(NUTRIENT_COLUMNS.map(c => [c, 0]));
+    const items = [];
+    const unmatched = [];
+
+    for (const ing of (recipe && recipe.ingredients) || []) {
+      const canon = resolveIngredient(ing.name);
+      const row = canon && findRow(DATA.tables.nutrition, canon);
+      if (!row) { unmatched.push(ing.name); continue; }
+
+      const { servings, approx } = servingsFor(ing, row.serving_size);
+      const values = {};
+      for (const c of NUTRIENT_COLUMNS) {
+        const v = c === 'glycemic_load' ? servingGlycemicLoad(row) : parseNum(row[c]);
+        values[c] = Number.isFinite(v) ? v * servings : null;
+        if (values[c] != null) totals[c] += values[c];
+      }
+      items.push({ name: ing.name, canonical: canon, servings, approx, values });
+    }
+
+    const n = Number(recipe && recipe.servings) > 0 ? Number(recipe.servings) : 1;
+    const perServing = Object.fromEntries(NUTRIENT_COLUMNS.map(c => [c, totals[c] / n]));
+    return { title: recipe && recipe.title, servings: n, totals, perServing, items, unmatched };
+  }
+
+  function fmt(v, digits) {
+    if (v == null || !Number.isFinite(v)) return '';
+    const p = Math.pow(10, digits);
+    return String(Math.round(v * p) / p);
+  }
+
+  function createNutritionSummary(recipes) {
+    const summaries = recipes.map(computeRecipeNutrition);
+    const rows = [];
+    summaries.forEach(s => {
+      [['Whole recipe', s.totals], [`Per serving (÷${s.servings})`, s.perServing]].forEach(([basis, v]) => {
+        rows.push({
+          recipe: s.title,
+          basis,
+          calories: fmt(v.calories, 0),
+          carbohydrates_gm: fmt(v.carbohydrates_gm, 1),
+          glycemic_load: fmt(v.glycemic_load, 1),
+          protein_gm: fmt(v.protein_gm, 1),
+          fiber_gm: fmt(v.fiber_gm, 1)
+        });
+      });
+    });
+
+    const box = createTable('Recipe Nutrition Totals', rows);
+    const notes = summaries
+      .map(s => {
+        const parts = [];
+        const approx = s.items.filter(i => i.approx).map(i => i.canonical);
+        if (approx.length) parts.push(`counted as one table serving: ${approx.join(', ')}`);
+        if (s.unmatched.length) parts.push(`not in table_nutrition.csv: ${s.unmatched.join(', ')}`);
+        return parts.length ? `${s.title} — ${parts.join('; ')}.` : '';
+      })
+      .filter(Boolean);
+    const p = document.createElement('p');
+    p.className = 'muted';
+    p.textContent = 'Estimated from table_nutrition.csv serving sizes. ' + notes.join(' ');
+    box.appendChild(p);
+    return box;
+  }
+
+  // =========================
+  // INGREDIENT DETECTION (plurals, hyphens, modifiers, small typos, partial multi-word names)
+  // =========================
+  // Every master.csv name and alias becomes one or more token "terms"; text is tokenized the same way and each
+  // term is aligned against it. Scores start at 1 and lose a little for each liberty taken, so callers can pick
+  // a threshold. Overlaps keep the longest span, then the best score ("olive oil" beats "olives").
+  const DETECT = {
+    threshold: 0.75,        // default cut-off for the plain name list
+    aliasFactor: 0.95,      // a canonical name beats an alias over the same words
+    variantFactor: 0.97,    // "Yogurt (Fermented)" read as plain "yogurt"
+    modifierVariant: 0.9,   // "Roasted Edamame" read as "edamame"
+    partialFactor: 0.8,     // "cheddar" for "Cheddar Cheese"
+    pluralPenalty: 0.02,    // "blueberry" for "Blueberries"
+    joinPenalty: 0.03,      // "flax seeds" for "Flaxseeds"
+    modifierPenalty: 0.05,  // "chicken boneless breasts": per skipped modifier inside a name (at most 2)
+    typoPenalty: 0.12       // per edit; one edit from 6 letters, two from 9 ("brocoli", "bluberries")
+  };
+  // Preparation words that may sit inside a name in recipe text, or lead a master name ("Roasted Edamame")
+  const DETECT_MODIFIERS = new Set([
+    'fresh', 'frozen', 'dried', 'raw', 'cooked', 'chopped', 'diced', 'sliced', 'minced', 'grated', 'shredded',
+    'organic', 'extra', 'virgin', 'boneless', 'skinless', 'large', 'small', 'medium', 'ripe', 'baby', 'wild',
+    'canned', 'rinsed', 'drained', 'plain', 'unsweetened', 'toasted', 'roasted', 'baked', 'steamed', 'whole'
+  ]);
+  // Trailing words a name can drop ("cheddar", "collard", "chia") ...
+  const DETECT_GENERIC_HEADS = new Set(['cheese', 'bean', 'nut', 'seed', 'green']);
+  // ... unless what's left means something else on its own ("blue", "mustard", "pumpkin")
+  const DETECT_AMBIGUOUS_CORES = new Set([
+    'blue', 'black', 'green', 'navy', 'sweet', 'brown', 'swiss', 'mustard', 'kidney', 'pumpkin', 'sea', 'soy',
+    'split', 'purple', 'heirloom', 'yellow', 'passion', 'mung', 'red', 'white'
+  ]);
+  // Kitchen words one letter away from a food ("fillet"/"millet", "skillet") are never read as typos
+  const DETECT_NOT_TYPOS = new Set(Object.keys(UNITS).map(stem).concat(['skillet', 'simmer', 'season', 'minute', 'blender', 'garnish']));
+  // Names that aren't the food next to these words ("2 cloves garlic" isn't the spice)
+  const DETECT_CONTEXT_EXCLUDE = { clove: ['garlic'] };
+
+  function stem(word) {
+    if (word.length <= 3) return word;
+    if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(?:o|ch|sh|x|z|ss)es$/.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  }
+
+  // -> [{ word, stem, start, end }] with character offsets into the original text
+  function tokenize(text) {
+    const tokens = [];
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+    while ((m = re.exec(text))) {
+      const word = m[0].normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+      tokens.push({ word, stem: stem(word), start: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+  }
+
+  // Optimal string alignment distance, or Infinity once it exceeds max
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return Infinity;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+        cur.push(v);
+        rowMin = Math.min(rowMin, v);
+      }
+      if (rowMin > max) return Infinity;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length] <= max ? prev[b.length] : Infinity;
+  }
+
+  function typoAllowance(termStem) {
+    return termStem.length >= 9 ? 2 : termStem.length >= 6 ? 1 : 0;
+  }
+
+  // "Bilberries (Dried)" -> "bilberries (dried)"-less forms; "Oats/Oat Groats/Steel Cut/Rolled" -> its multi-word parts
+  function termVariants(name) {
+    const out = [];
+    const parens = [...name.matchAll(/\(([^)]*)\)/g)].map(m => m[1].trim());
+    const base = name.replace(/\([^)]*\)/g, ' ');
+    base.split('/').forEach((part, i) => {
+      const words = tokenize(part).map(t => t.word);
+      if (!words.length || (i > 0 && words.length < 2)) return;
+      const factor = parens.length ? DETECT.variantFactor : 1;
+      out.push({ words, factor });
+      // "Bilberries (Dried)" also reads as "dried bilberries"
+      if (i === 0 && parens.length === 1 && tokenize(parens[0]).length === 1) {
+        out.push({ words: [tokenize(parens[0])[0].word, ...words], factor: 1 });
+      }
+      if (words.length > 1 && DETECT_MODIFIERS.has(words[0])) {
+        out.push({ words: words.slice(1), factor: factor * DETECT.modifierVariant });
+      }
+      const last = words[words.length - 1];
+      const core = words.slice(0, -1);
+      if (words.length > 1 && DETECT_GENERIC_HEADS.has(stem(last)) &&
+          !(core.length === 1 && DETECT_AMBIGUOUS_CORES.has(core[0])) && !core.every(w => DETECT_MODIFIERS.has(w))) {
+        out.push({ words: core, factor: factor * DETECT.partialFactor });
+      }
+    });
+    return out;
+  }
+
+  // Built once per dataset: { terms, byFirst: Map(stem -> [term]), fuzzyFirst: [stem] }
+  function buildMatcher() {
+    if (DATA.matcher && DATA.matcher.source === DATA.masterIndex) return DATA.matcher;
+    const terms = [];
+    const add = (source, canonical, factor) => termVariants(source).forEach(v => terms.push({
+      canonical,
+      label: source,
+      words: v.words,
+      stems: v.words.map(stem),
+      factor: v.factor * factor
+    }));
+    new Set(DATA.masterIndex.values()).forEach(canon => add(canon, canon, 1));
+    for (const [alias, canon] of DATA.aliasToCanon.entries()) add(alias, canon, DETECT.aliasFactor);
+
+    const byFirst = new Map();
+    terms.forEach(t => {
+      if (!byFirst.has(t.stems[0])) byFirst.set(t.stems[0], []);
+      byFirst.get(t.stems[0]).push(t);
+    });
+    const fuzzyFirst = [...byFirst.keys()].filter(k => typoAllowance(k) > 0);
+    DATA.matcher = { source: DATA.masterIndex, terms, byFirst, fuzzyFirst };
+    return DATA.matcher;
+  }
+
+  // Align one term at token i -> { start, end (token indexes, end exclusive), score } or null
+  function alignTerm(tokens, i, term) {
+    let k = i;
+    let score = term.factor;
+    let skipped = 0;
+    for (let j = 0; j < term.stems.length; j++) {
+      const want = term.stems[j];
+      while (j > 0 && skipped < 2 && k < tokens.length && tokens[k].stem !== want && DETECT_MODIFIERS.has(tokens[k].word)) {
+        k++; skipped++; score -= DETECT.modifierPenalty;
+      }
+      const t = tokens[k];
+      if (!t) return null;
+      if (t.stem === want) {
+        if (t.word !== term.words[j]) score -= DETECT.pluralPenalty;
+        k += 1;
+        continue;
+      }
+      const next = tokens[k + 1];
+      if (next && next.start - t.end <= 1 && stem(t.word + next.word) === want) {
+        score -= DETECT.joinPenalty;
+        k += 2;
+        continue;
+      }
+      const d = DETECT_NOT_TYPOS.has(t.stem) ? Infinity : editDistance(t.stem, want, typoAllowance(want));
+      if (d === Infinity) return null;
+      score -= DETECT.typoPenalty * d;
+      k += 1;
+    }
+    return { start: i, end: k, score };
+  }
+
+  function excludedByContext(tokens, m, term) {
+    const avoid = term.stems.length === 1 && DETECT_CONTEXT_EXCLUDE[term.stems[0]];
+    if (!avoid) return false;
+    return [tokens[m.start - 1], tokens[m.end], tokens[m.end + 1]].some(t => t && avoid.includes(t.stem));
+  }
+
+  // -> [{ name, confidence, start, end, text, term }] sorted by position, non-overlapping, confidence >= threshold
+  function detectIngredients(text, threshold) {
+    if (!DATA.loaded || !text) return [];
+    const { byFirst, fuzzyFirst } = buildMatcher();
+    const tokens = tokenize(text);
+    const candidates = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const firsts = new Set([tokens[i].stem]);
+      if (tokens[i + 1]) firsts.add(stem(tokens[i].word + tokens[i + 1].word));
+      if (tokens[i].stem.length >= 5 && !DETECT_NOT_TYPOS.has(tokens[i].stem)) {
+        fuzzyFirst.forEach(f => { if (editDistance(tokens[i].stem, f, typoAllowance(f)) !== Infinity) firsts.add(f); });
+      }
+      firsts.forEach(f => (byFirst.get(f) || []).forEach(term => {
+        const m = alignTerm(tokens, i, term);
+        if (!m || m.score < threshold || excludedByContext(tokens, m, term)) return;
+        candidates.push({ ...m, term });
+      }));
+    }
+
+    candidates.sort((a, b) => (b.end - b.start) - (a.end - a.start) || b.score - a.score);
+    const taken = new Array(tokens.length).fill(false);
+    const matches = [];
+    for (const c of candidates) {
+      let free = true;
+      for (let k = c.start; k < c.end; k++) if (taken[k]) { free = false; break; }
+      if (!free) continue;
+      for (let k = c.start; k < c.end; k++) taken[k] = true;
+      const start = tokens[c.start].start;
+      const end = tokens[c.end - 1].end;
+      matches.push({
+        name: c.term.canonical,
+        confidence: Math.round(Math.max(0, Math.min(1, c.score)) * 100) / 100,
+        start,
+        end,
+        text: text.slice(start, end),
+        term: c.term.label
+      });
+    }
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  // =========================
+  // INGREDIENT HIGHLIGHTS (hover/focus card from DATA.tables; click jumps to the rows under #bp-nutrition)
+  // =========================
+  const HIGHLIGHT_CSS = `
+    mark.bp-ing{background:#eef4ff;color:inherit;border-bottom:1px dotted #2563eb;border-radius:3px;padding:0 1px;cursor:pointer}
+    mark.bp-ing:focus{outline:2px solid #2563eb;outline-offset:1px}
+    #bp-ing-card{position:absolute;z-index:1000;max-width:320px;background:#fff;border:1px solid #d0d5dd;border-radius:10px;
+      box-shadow:0 8px 24px rgba(16,24,40,.12);padding:10px 12px;font-size:13px;line-height:1.4;display:none}
+    #bp-ing-card h5{margin:0 0 4px;font-size:14px}
+    #bp-ing-card dl{display:grid;grid-template-columns:auto 1fr;gap:2px 8px;margin:0}
+    #bp-ing-card dt{color:#667085}
+    #bp-ing-card dd{margin:0}
+    #bp-nutrition tr.bp-row-focus td{background:#fff7d6;transition:background .3s}
+  `;
+
+  // Compact facts for one ingredient (hover cards, AutoChooser): { name, category, serving_size, calories,
+  // glycemic_index, glycemic_load, fiber_gm, cognitive, key_nutrients, microbiome, diets, allergens }
+  function ingredientSummary(name) {
+    const canon = lookupCanonical(name) || String(name || '').trim();
+    const n = findRow(DATA.tables.nutrition, canon) || {};
+    const c = findRow(DATA.tables.cognitive, canon) || {};
+    const d = findRow(DATA.tables.diet, canon) || {};
+    const m = findRow(DATA.tables.micro, canon) || {};
+    const diets = [['MIND', d.mind_diet], ['Mediterranean', d.mediterranean_diet], ['DASH', d.dash_diet], ['Anti-inflammatory', d.anti_inflammatory]]
+      .filter(([, v]) => v === true)
+      .map(([label]) => label);
+    return {
+      name: canon,
+      category: DATA.categoryOf.get(canon),
+      serving_size: n.serving_size,
+      calories: n.calories,
+      glycemic_index: n.glycemic_index,
+      glycemic_load: n.glycemic_load,
+      fiber_gm: n.fiber_gm,
+      cognitive: c.direct_cognitive_benefits,
+      key_nutrients: c.key_nutrients,
+      microbiome: m['gut_health/microbiome_support'],
+      diets,
+      allergens: (DATA.allergensOf.get(canon) || []).slice()
+    };
+  }
+
+  function ensureHighlightStyle() {
+    if (document.getElementById('bp-highlight-style')) return;
+    const style = document.createElement('style');
+    style.id = 'bp-highlight-style';
+    style.textContent = HIGHLIGHT_CSS;
+    document.head.appendChild(style);
+  }
+
+  function ingredientCardElement() {
+    let card = document.getElementById('bp-ing-card');
+    if (!card) {
+      card = document.createElement('div');
+      card.id = 'bp-ing-card';
+      card.setAttribute('role', 'tooltip');
+      document.body.appendChild(card);
+    }
+    return card;
+  }
+
+  function showIngredientCard(mark) {
+    const info = ingredientSummary(mark.getAttribute('data-ingredient'));
+    const card = ingredientCardElement();
+    card.innerHTML = '';
+
+    const h = document.createElement('h5');
+    h.textContent = info.name;
+    card.appendChild(h);
+
+    const dl = document.createElement('dl');
+    const cognitive = String(info.cognitive || '');
+    [
+      ['Category', info.category],
+      ['Serving', info.serving_size],
+      ['Calories', info.calories],
+      ['Glycemic load', info.glycemic_load],
+      ['Cognitive', cognitive.length > 160 ? cognitive.slice(0, 157).trim() + '…' : cognitive],
+      ['Diets', info.diets.join(', ')],
+      ['Allergens', info.allergens.join(', ') || 'none listed']
+    ].forEach(([label, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = displayValue(value);
+      dl.append(dt, dd);
+    });
+    card.appendChild(dl);
+
+    const rect = mark.getBoundingClientRect();
+    card.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+    card.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    card.style.display = 'block';
+    mark.setAttribute('aria-describedby', 'bp-ing-card');
+  }
+
+  function hideIngredientCard() {
+    const card = document.getElementById('bp-ing-card');
+    if (card) card.style.display = 'none';
+  }
+
+  // Scroll to the ingredient's first table row and briefly emphasize its row in every table
+  function focusIngredientRows(name) {
+    const mount = document.getElementById('bp-nutrition');
+    if (!mount) return false;
+    revealIngredientRows(name);
+    const rows = Array.from(mount.querySelectorAll('tr[data-ingredient]')).filter(tr => tr.getAttribute('data-ingredient') === name);
+    if (!rows.length) return false;
+    rows.forEach(tr => tr.classList.add('bp-row-focus'));
+    rows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+    setTimeout(() => rows.forEach(tr => tr.classList.remove('bp-row-focus')), 2500);
+    return true;
+  }
+
+  // One delegated set of listeners serves every highlighted output
+  function bindHighlightEvents() {
+    if (bindHighlightEvents.bound) return;
+    bindHighlightEvents.bound = true;
+    const markOf = e => e.target && e.target.closest && e.target.closest('mark.bp-ing');
+    document.addEventListener('mouseover', e => { const m = markOf(e); if (m) showIngredientCard(m); });
+    document.addEventListener('mouseout', e => { if (markOf(e)) hideIngredientCard(); });
+    document.addEventListener('focusin', e => { const m = markOf(e); if (m) showIngredientCard(m); });
+    document.addEventListener('focusout', e => { if (markOf(e)) hideIngredientCard(); });
+    document.addEventListener('click', e => { const m = markOf(e); if (m) focusIngredientRows(m.getAttribute('data-ingredient')); });
+    document.addEventListener('keydown', e => {
+      const m = markOf(e);
+      if (m && (e.key === 'Enter' || e.key === ' ')) { e.preventDefault(); focusIngredientRows(m.getAttribute('data-ingredient')); }
+      if (e.key === 'Escape') hideIngredientCard();
+    });
+  }
+
+  // Wraps each detected ingredient in one text node with <mark class="bp-ing" data-ingredient="Canonical">
+  function highlightTextNode(node) {
+    const text = node.nodeValue;
+    const matches = detectIngredients(text, DETECT.threshold);
+    if (!matches.length) return;
+    const frag = document.createDocumentFragment();
+    let pos = 0;
+    matches.forEach(m => {
+      if (m.start > pos) frag.appendChild(document.createTextNode(text.slice(pos, m.start)));
+      const mark = document.createElement('mark');
+      mark.className = 'bp-ing';
+      mark.tabIndex = 0;
+      mark.setAttribute('role', 'button');
+      mark.setAttribute('data-ingredient', m.name);
+      mark.textContent = m.text;
+      frag.appendChild(mark);
+      pos = m.end;
+    });
+    if (pos < text.length) frag.appendChild(document.createTextNode(text.slice(pos)));
+    node.parentNode.replaceChild(frag, node);
+  }
+
+  function textNodesIn(el, out) {
+    el.childNodes.forEach(child => {
+      if (child.nodeType === 3) out.push(child);
+      else if (child.nodeType === 1 && !/^(MARK|BUTTON|SCRIPT|STYLE)$/.test(child.tagName)) textNodesIn(child, out);
+    });
+    return out;
+  }
+
+  function highlightIngredients(root, selector) {
+    if (!root) return 0;
+    ensureHighlightStyle();
+    bindHighlightEvents();
+    const nodes = [];
+    root.querySelectorAll(selector).forEach(el => textNodesIn(el, nodes));
+    nodes.forEach(highlightTextNode);
+    return root.querySelectorAll('mark.bp-ing').length;
+  }
+
+  // =========================
+  // SHOPPING LIST (merge recipe ingredients by canonical name, sum compatible quantities)
+  // =========================
+  function shoppingCanonical(name) {
+    const direct = lookupCanonical(name);
+    if (direct) return direct;
+    const hits = window.BP.deriveIngredientsFromRecipe(String(name || ''));
+    return hits.length === 1 ? hits[0] : undefined;   // "chopped kale" -> Kale, but not "salmon with dill and lemon"
+  }
+
+  // Next unit up, so 32 oz reads as 2 lb and 18 tsp as 6 tbsp even when no recipe used the larger unit
+  const STEP_UP = {
+    g: 'kg', gram: 'kg', grams: 'kg', ml: 'l', oz: 'lb', ounce: 'lb', ounces: 'lb',
+    tsp: 'tbsp', teaspoon: 'tbsp', teaspoons: 'tbsp', tbsp: 'cup', tablespoon: 'cup', tablespoons: 'cup'
+  };
+
+  function unitKey(unit) {
+    return norm(unit).replace(/\.$/, '');
+  }
+
+  // "7 cup" -> "cups", "1 cloves" -> "clove"; only between spellings UNITS knows
+  function agreeUnit(unit, amount) {
+    const u = unitKey(unit);
+    if (amount > 1 && !u.endsWith('s') && UNITS[u + 's']) return u + 's';
+    if (amount <= 1 && u.endsWith('s') && UNITS[u.slice(0, -1)]) return u.slice(0, -1);
+    return unit;
+  }
+
+  // Mass and volume are summed in base units and shown in the largest candidate unit that stays >= 1
+  function displayQuantity(q) {
+    if (q.dim !== 'mass' && q.dim !== 'volume') return { amount: q.amount, unit: agreeUnit(q.unit, q.amount) };
+    const units = q.units.map(unitKey);
+    for (let i = 0; i < units.length; i++) {
+      const up = STEP_UP[units[i]];
+      if (up && !units.includes(up)) units.push(up);
+    }
+    units.sort((a, b) => UNITS[b][1] - UNITS[a][1]);
+    const unit = units.find(u => q.amount / UNITS[u][1] >= 1) || units[units.length - 1];
+    const amount = q.amount / UNITS[unit][1];
+    return { amount, unit: agreeUnit(unit, amount) };
+  }
+
+  // [{ category, items: [{ name, canonical, quantities: [{ amount, unit }], unquantified, recipes: [titles] }] }]
+  function buildShoppingList(recipes) {
+    const items = new Map();
+    for (const recipe of recipes || []) {
+      for (const ing of (recipe && recipe.ingredients) || []) {
+        const raw = String(ing.name || '').trim();
+        if (!raw) continue;
+        const canon = shoppingCanonical(raw);
+        const key = canon || norm(raw);
+        if (!items.has(key)) {
+          items.set(key, {
+            name: canon || raw, canonical: canon, category: (canon && DATA.categoryOf.get(canon)) || 'Other',
+            quantities: new Map(), unquantified: false, recipes: new Set()
+          });
+        }
+        const item = items.get(key);
+        if (recipe.title) item.recipes.add(recipe.title);
+
+        const qty = Number(ing.quantity);
+        if (ing.quantity == null || !Number.isFinite(qty)) { item.unquantified = true; continue; }
+        const unit = String(ing.unit || '').trim();
+        const base = toBase(qty, unit);
+        // Counts only add up under the same word ("2 cloves" + "1 clove"); unknown units ("1 can") stay separate
+        const qKey = base && base.dim !== 'count' ? base.dim : 'unit:' + norm(unit).replace(/s$/, '');
+        const q = item.quantities.get(qKey) || { dim: base ? base.dim : 'other', amount: 0, unit, units: [] };
+        q.amount += base && base.dim !== 'count' ? base.amount : qty;
+        if (!q.units.includes(unit)) q.units.push(unit);
+        item.quantities.set(qKey, q);
+      }
+    }
+
+    const groups = new Map();
+    for (const item of items.values()) {
+      if (!groups.has(item.category)) groups.set(item.category, []);
+      groups.get(item.category).push({
+        name: item.name,
+        canonical: item.canonical,
+        quantities: [...item.quantities.values()].map(displayQuantity),
+        unquantified: item.unquantified,
+        recipes: [...item.recipes]
+      });
+    }
+    return [...groups.entries()]
+      .sort(([a], [b]) => (a === 'Other') - (b === 'Other') || a.localeCompare(b))
+      .map(([category, list]) => ({ category, items: list.sort((a, b) => a.name.localeCompare(b.name)) }));
+  }
+
+  // =========================
+  // MIND SCORE (which MIND components each recipe covers)
+  // =========================
+  // Nine brain-healthy components earn a point each; each limit food present costs one. Wine is left out on purpose.
+  // Matching order: include (canonical names) -> master.csv category (minus exclude) -> pattern on the recipe's own wording.
+  // Modifiers ("fried onions") are matched on the wording as well as the food's own component.
+  const MIND_COMPONENTS = [
+    { key: 'leafy', label: 'Green leafy vegetables', kind: 'healthy', target: '6+ servings / week',
+      categories: ['Green Leafy Vegetables'], include: ['Collard Greens'], pattern: /\b(lettuce|greens|spinach|kale|chard|arugula|romaine)\b/i },
+    { key: 'vegetables', label: 'Other vegetables', kind: 'healthy', target: '1+ serving / day',
+      categories: ['Vegetables', 'Fermented Vegetable', 'Capers', 'Mushrooms (General Edible Mushrooms; Lion’s Mane)'],
+      pattern: /\b(tomato(es)?|onions?|peppers?|carrots?|broccoli|cauliflower|zucchini|mushrooms?|cabbage|celery|cucumbers?|eggplant|asparagus)\b/i },
+    { key: 'berries', label: 'Berries', kind: 'healthy', target: '2+ servings / week',
+      categories: ['Berries'], exclude: ['Avocados', 'Grapes', 'Kiwis', 'Passion Fruit'], pattern: /berr(y|ies)\b/i },
+    { key: 'nuts', label: 'Nuts', kind: 'healthy', target: '5+ servings / week',
+      categories: ['Nuts'], include: ['Peanuts'], pattern: /\b(nuts?|peanuts?|almonds?|walnuts?|pecans?|cashews?|pistachios?|hazelnuts?)\b/i },
+    { key: 'beans', label: 'Beans & legumes', kind: 'healthy', target: '3+ servings / week',
+      categories: ['Beans', 'Legumes'], include: ['Chickpea Pasta', 'Lentil Pasta', 'Baked Chickpea Snacks', 'Roasted Edamame'],
+      exclude: ['Coffee', 'Peanuts'], pattern: /\b(beans?|lentils?|chickpeas?|legumes?)\b/i },
+    { key: 'grains', label: 'Whole grains', kind: 'healthy', target: '3+ servings / day',
+      categories: ['Whole Grains'],
+      include: ['Brown Rice Pasta', 'Buckwheat (Soba) Noodles', 'Spelt Pasta', 'Quinoa Pasta', 'Whole Grain Pasta (non-wheat options)',
+        'Whole Wheat Pasta', 'Cornmeal (whole grain)', 'Grits (whole grain, cooked)', 'Whole Grain Seed Crackers', 'Oat-based Bars'],
+      pattern: /\b(whole[- ](grain|wheat)|oats?|brown rice|quinoa|barley|farro)\b/i },
+    { key: 'fish', label: 'Fish', kind: 'healthy', target: '1+ serving / week',
+      categories: ['Fatty Fish', 'Other Fish'], include: ['Anchovies'], pattern: /\b(fish|salmon|sardines?|trout|cod|tuna|mackerel|anchov(y|ies))\b/i },
+    { key: 'poultry', label: 'Poultry', kind: 'healthy', target: '2+ servings / week',
+      categories: ['Poultry'], pattern: /\b(chicken|turkey)\b/i },
+    { key: 'olive-oil', label: 'Olive oil', kind: 'healthy', target: 'main cooking oil',
+      include: ['Olive Oil'], pattern: /\bolive oil\b/i },
+    { key: 'red-meat', label: 'Red meat', kind: 'limit', target: 'under 4 servings / week',
+      categories: ['Meat'], pattern: /\b(beef|pork|lamb|veal|bacon|sausages?|ham|steak)\b/i },
+    { key: 'butter', label: 'Butter & margarine', kind: 'limit', target: 'under 1 tbsp / day',
+      pattern: /^(?!.*\b(nut|peanut|almond|cashew|seed|sunflower)\s+butter).*\b(butter|margarine)\b/i },
+    { key: 'cheese', label: 'Cheese', kind: 'limit', target: 'under 1 serving / week',
+      categories: ['Aged/Hard Fermented Cheese', 'Soft/Semi-Soft FermentedCheese'], pattern: /\bcheese\b|\b(parmesan|cheddar|mozzarella|feta)\b/i },
+    { key: 'sweets', label: 'Pastries & sweets', kind: 'limit', target: 'under 5 servings / week',
+      categories: ['Sweetener'], pattern: /\b(sugar|syrup|honey|candy|cake|cookies?|pastr(y|ies)|doughnuts?|ice cream)\b/i },
+    { key: 'fried', label: 'Fried or fast food', kind: 'limit', target: 'under 1 serving / week', modifier: true,
+      pattern: /\b(fried|fries|deep[- ]fr(y|ied))\b/i }
+  ];
+  const MIND_MAX = MIND_COMPONENTS.filter(c => c.kind === 'healthy').length;
+
+  function mindComponentsOf(name) {
+    const foods = MIND_COMPONENTS.filter(c => !c.modifier);
+    const modifiers = MIND_COMPONENTS.filter(c => c.modifier && c.pattern.test(String(name || '')));
+    const canon = resolveIngredient(name);
+    const cat = canon && DATA.categoryOf.get(canon);
+    let food;
+    if (canon) {
+      food = foods.find(c => (c.include || []).includes(canon)) ||
+        foods.find(c => (c.categories || []).includes(cat) && !(c.exclude || []).includes(canon));
+      if (!food && foods.some(c => (c.exclude || []).includes(canon))) return modifiers;
+    }
+    food = food || foods.find(c => c.pattern && c.pattern.test(String(name || '')));
+    return food ? [food, ...modifiers] : modifiers;
+  }
+
+  function mindScoreFor(componentKeys) {
+    const present = MIND_COMPONENTS.filter(c => componentKeys.has(c.key));
+    const healthy = present.filter(c => c.kind === 'healthy');
+    const limit = present.filter(c => c.kind === 'limit');
+    return { score: Math.max(0, healthy.length - limit.length), max: MIND_MAX, healthy, limit };
+  }
+
+  // { recipes: [{ title, score, max, healthy, limit, components, flagged, matched }], session: {...}, components }
+  function computeMindScore(recipes) {
+    const sessionKeys = new Set();
+    const recipeCounts = Object.fromEntries(MIND_COMPONENTS.map(c => [c.key, 0]));
+
+    const perRecipe = (recipes || []).map(recipe => {
+      const keys = new Set();
+      const components = {};
+      let flagged = 0, matched = 0;
+      for (const ing of (recipe && recipe.ingredients) || []) {
+        for (const c of mindComponentsOf(ing.name)) {
+          keys.add(c.key);
+          (components[c.key] = components[c.key] || []).push(ing.name);
+        }
+        const canon = resolveIngredient(ing.name);
+        const row = canon && findRow(DATA.tables.diet, canon);
+        if (row && row.mind_diet != null) {
+          matched += 1;
+          if (row.mind_diet === true) flagged += 1;
+        }
+      }
+      keys.forEach(k => { sessionKeys.add(k); recipeCounts[k] += 1; });
+      return { title: recipe && recipe.title, ...mindScoreFor(keys), components, flagged, matched };
+    });
+
+    const session = mindScoreFor(sessionKeys);
+    return {
+      recipes: perRecipe,
+      session: {
+        ...session,
+        flagged: perRecipe.reduce((a, r) => a + r.flagged, 0),
+        matched: perRecipe.reduce((a, r) => a + r.matched, 0)
+      },
+      components: MIND_COMPONENTS.map(c => ({ key: c.key, label: c.label, kind: c.kind, target: c.target, recipes: recipeCounts[c.key] }))
+    };
+  }
+
+  function createMindCard(recipes) {
+    const m = computeMindScore(recipes);
+    const labels = list => list.map(c => c.label).join(', ');
+    const row = (title, s) => ({
+      recipe: title,
+      mind_score: `${s.score} / ${s.max}`,
+      mind_components: labels(s.healthy),
+      limit_foods: labels(s.limit),
+      mind_diet_ingredients: s.matched ? `${s.flagged} of ${s.matched}` : ''
+    });
+    const rows = m.recipes.map(r => row(r.title, r));
+    if (m.recipes.length > 1) rows.push(row('All recipes together', m.session));
+
+    const box = createTable('MIND Diet Score', rows);
+
+    const h = document.createElement('h4');
+    h.textContent = 'Components';
+    box.appendChild(h);
+    box.appendChild(createTableElement(m.components.map(c => ({
+      component: c.label,
+      type: c.kind === 'healthy' ? 'brain-healthy' : 'limit',
+      recipes_with_it: `${c.recipes} of ${m.recipes.length}`,
+      mind_target: c.target
+    }))));
+
+    const p = document.createElement('p');
+    p.className = 'muted';
+    p.textContent = `One point per brain-healthy MIND component a recipe includes, minus one per limit food (0–${MIND_MAX}). ` +
+      'Weekly targets come from the MIND diet; "mind_diet ingredients" counts ingredients flagged in table_diet_compatibility.csv.';
+    box.appendChild(p);
+    return box;
+  }
+
+  // =========================
+  // GOAL FIT & SUBSTITUTIONS (goal scoring shared with the AutoChooser; same-category swaps for recipe ingredients)
+  // =========================
+  // Each rule adds points for a goal: positive points are reasons to pick an ingredient, negative ones are concerns
+  // (a conflict with that goal). info is ingredientSummary(...) plus flags, the diet row's yes/no values.
+  const GOAL_RULES = [
+    {
+      goal: /blood sugar|GI\/GL/i,
+      score(info, add) {
+        const gl = info.glycemic_load;
+        if (gl != null && gl <= 5) add(2, `low GL (${gl})`);
+        else if (gl != null && gl <= 10) add(1, `moderate GL (${gl})`);
+        else if (gl != null) add(-2, `high GL (${gl})`);
+        const gi = info.glycemic_index;
+        if (gi != null && gi <= 55) add(1, `low GI (${gi})`);
+        else if (gi != null && gi >= 70) add(-1, `high GI (${gi})`);
+      }
+    },
+    {
+      goal: /microbiome/i,
+      score(info, add) {
+        const m = String(info.microbiome || '').toLowerCase();
+        ['prebiotic', 'probiotic', 'postbiotic'].forEach(k => { if (m.includes(k)) add(k === 'postbiotic' ? 1 : 2, k); });
+      }
+    },
+    {
+      goal: /anti-inflammatory/i,
+      score(info, add) {
+        if (info.flags.anti_inflammatory === true) add(2, 'anti-inflammatory');
+        else if (info.flags.anti_inflammatory === false) add(-1, 'not anti-inflammatory');
+      }
+    },
+    {
+      goal: /cardiovascular/i,
+      score(info, add) {
+        if (info.flags.dash_diet === true) add(1, 'DASH-friendly');
+        if (info.flags.mediterranean_diet === true) add(1, 'Mediterranean');
+        if (info.flags.dash_diet === false && info.flags.mediterranean_diet === false) add(-1, 'neither DASH nor Mediterranean');
+      }
+    },
+    {
+      goal: /weight loss|metabolic/i,
+      score(info, add) {
+        if (info.calories != null && info.calories <= 100) add(1, `${info.calories} kcal per serving`);
+        else if (info.calories != null && info.calories >= 250) add(-1, `${info.calories} kcal per serving`);
+        if (info.fiber_gm != null && info.fiber_gm >= 3) add(1, `${info.fiber_gm} g fiber`);
+      }
+    },
+    {
+      goal: /sleep/i,
+      score(info, add) { if (/magnesium|tryptophan|melatonin/i.test(info.key_nutrients || '')) add(1, 'sleep-supporting nutrients'); }
+    },
+    {
+      goal: /cognitive/i,
+      score(info, add) {
+        if (info.flags.mind_diet === true) add(1, 'MIND diet food');
+        else if (info.flags.mind_diet === false) add(-1, 'not a MIND diet food');
+      }
+    }
+  ];
+  const SUBSTITUTE_LIMIT = 3;
+
+  // "high GL (15)" and "high GL (22)" are the same concern
+  function concernKey(reason) {
+    return reason.replace(/\d+(\.\d+)?/g, '#');
+  }
+
+  // { score, reasons, concerns } for one ingredient under the selected goals (goal names as in the GOALS list)
+  function goalFit(name, goals) {
+    const canon = lookupCanonical(name) || String(name || '').trim();
+    const info = { ...ingredientSummary(canon), flags: findRow(DATA.tables.diet, canon) || {} };
+    let score = 0;
+    const reasons = [];
+    const concerns = [];
+    GOAL_RULES.forEach(rule => {
+      if (!(goals || []).some(g => rule.goal.test(g))) return;
+      rule.score(info, (points, reason) => {
+        score += points;
+        (points > 0 ? reasons : concerns).push(reason);
+      });
+    });
+    return { score, reasons, concerns };
+  }
+
+  // Same master.csv category, better goal fit; ties go to fewer concerns, then lower GL, more fiber, more protein.
+  // opts.exclude: names never to suggest (the recipe's other ingredients, allergies, excluded categories...)
+  // -> [{ name, score, reasons, fixes: [concerns of the original this one doesn't have] }], best first
+  function rankSubstitutes(name, goals, opts) {
+    const canon = resolveIngredient(name);
+    const category = canon && DATA.categoryOf.get(canon);
+    if (!category) return [];
+    const o = opts || {};
+    const exclude = new Set((o.exclude || []).map(n => lookupCanonical(n) || n));
+    const own = goalFit(canon, goals);
+    const num = v => (typeof v === 'number' ? v : null);
+
+    return window.BP.listIngredients()
+      .filter(r => r.category === category && r.name !== canon && !exclude.has(r.name))
+      .map(r => {
+        const fit = goalFit(r.name, goals);
+        const info = ingredientSummary(r.name);
+        const n = findRow(DATA.tables.nutrition, r.name) || {};
+        return {
+          name: r.name,
+          score: fit.score,
+          reasons: fit.reasons,
+          concerns: fit.concerns,
+          fixes: own.concerns.filter(c => !fit.concerns.some(x => concernKey(x) === concernKey(c))),
+          gl: num(info.glycemic_load),
+          fiber: num(n.fiber_gm),
+          protein: num(n.protein_gm)
+        };
+      })
+      .filter(c => c.score > own.score && c.reasons.length)   // blank data alone is no reason to swap
+      .sort((a, b) =>
+        b.score - a.score ||
+        a.concerns.length - b.concerns.length ||
+        (a.gl ?? Infinity) - (b.gl ?? Infinity) ||
+        (b.fiber ?? -1) - (a.fiber ?? -1) ||
+        (b.protein ?? -1) - (a.protein ?? -1) ||
+        a.name.localeCompare(b.name))
+      .slice(0, Number.isInteger(o.limit) && o.limit > 0 ? o.limit : SUBSTITUTE_LIMIT)
+      .map(({ name, score, reasons, fixes }) => ({ name, score, reasons, fixes }));
+  }
+
+  // Recipe ingredients that conflict with the goals, each with its ranked same-category alternatives:
+  // [{ index, ingredient, canonical, category, concerns, alternatives }] (alternatives may be empty)
+  function suggestSubstitutions(recipe, goals, opts) {
+    const o = opts || {};
+    const ings = (recipe && recipe.ingredients) || [];
+    const used = ings.map(i => resolveIngredient(i.name)).filter(Boolean);
+    const out = [];
+    ings.forEach((ing, index) => {
+      const canon = resolveIngredient(ing.name);
+      if (!canon || out.some(s => s.canonical === canon)) return;
+      const { concerns } = goalFit(canon, goals);
+      if (!concerns.length) return;
+      out.push({
+        index,
+        ingredient: ing.name,
+        canonical: canon,
+        category: DATA.categoryOf.get(canon),
+        concerns,
+        alternatives: rankSubstitutes(canon, goals, { exclude: [...used, ...(o.exclude || [])], limit: o.limit })
+      });
+    });
+    return out;
+  }
+
+  // =========================
+  // INGREDIENT COMPARISON (up to four ingredients side by side, with an inline SVG chart; no extra requests)
+  // =========================
+  const COMPARE_MAX = 4;
+  const COMPARE_COLORS = ['#2563eb', '#16a34a', '#d97706', '#9333ea'];
+  // Chart metrics, each drawn on its own scale since kcal and grams don't share an axis
+  const COMPARE_CHART = [
+    { key: 'calories', label: 'Calories', unit: 'kcal' },
+    { key: 'protein_gm', label: 'Protein', unit: 'g' },
+    { key: 'fiber_gm', label: 'Fiber', unit: 'g' },
+    { key: 'glycemic_load', label: 'Glycemic load', unit: '' }
+  ];
+  // Panel rows: [label, value(item), better] where better marks the best numeric value ('high' or 'low')
+  const COMPARE_ROWS = [
+    ['Category', i => i.category],
+    ['Serving', i => i.serving_size],
+    ['Calories', i => i.nutrition.calories],
+    ['Carbohydrates (g)', i => i.nutrition.carbohydrates_gm],
+    ['Glycemic index', i => i.nutrition.glycemic_index, 'low'],
+    ['Glycemic load', i => i.nutrition.glycemic_load, 'low'],
+    ['Protein (g)', i => i.nutrition.protein_gm, 'high'],
+    ['Fiber (g)', i => i.nutrition.fiber_gm, 'high'],
+    ['MIND', i => i.diets.mind_diet],
+    ['Mediterranean', i => i.diets.mediterranean_diet],
+    ['DASH', i => i.diets.dash_diet],
+    ['Anti-inflammatory', i => i.diets.anti_inflammatory],
+    ['Microbiome', i => i.microbiome],
+    ['Direct cognitive benefits', i => i.cognitive.direct],
+    ['Indirect cognitive benefits', i => i.cognitive.indirect],
+    ['Key nutrients', i => i.cognitive.key_nutrients],
+    ['Mechanisms', i => i.cognitive.mechanisms],
+    ['Allergens', i => i.allergens.join(', ') || 'none listed']
+  ];
+  const COMPARE_CSS = `
+    .bp-compare-panel{overflow-x:auto}
+    .bp-compare-panel th[scope=row]{color:#475467;font-weight:600;white-space:nowrap}
+    .bp-compare-panel td{vertical-align:top}
+    .bp-compare-panel td.bp-best{font-weight:700;color:#067647}
+    .bp-compare-legend{display:flex;flex-wrap:wrap;gap:12px;margin:12px 0 4px;padding:0;list-style:none;font-size:13px}
+    .bp-compare-legend i{display:inline-block;width:12px;height:12px;border-radius:3px;margin-right:6px;vertical-align:-1px}
+    .bp-compare-chart{width:100%;height:auto;max-width:720px}
+    .bp-compare-chart text{font:12px system-ui,Segoe UI,Roboto,Arial,sans-serif;fill:#111}
+    .bp-compare-chart text.bp-metric{font-weight:600}
+    .bp-compare-chart text.bp-muted{fill:#667085}
+  `;
+
+  function ensureCompareStyle() {
+    if (document.getElementById('bp-compare-style')) return;
+    const style = document.createElement('style');
+    style.id = 'bp-compare-style';
+    style.textContent = COMPARE_CSS;
+    document.head.appendChild(style);
+  }
+
+  // { items: [{ name, category, serving_size, nutrition, diets, microbiome, cognitive, allergens }], unknown, dropped }
+  // Names and aliases resolve to master.csv names; duplicates collapse and anything past COMPARE_MAX is dropped
+  function compareIngredients(names) {
+    const unknown = [];
+    const canon = [];
+    (names || []).forEach(name => {
+      const c = lookupCanonical(name);
+      if (!c) unknown.push(String(name));
+      else if (!canon.includes(c)) canon.push(c);
+    });
+    const items = canon.slice(0, COMPARE_MAX).map(name => {
+      const n = findRow(DATA.tables.nutrition, name) || {};
+      const c = findRow(DATA.tables.cognitive, name) || {};
+      const d = findRow(DATA.tables.diet, name) || {};
+      const m = findRow(DATA.tables.micro, name) || {};
+      const gl = servingGlycemicLoad(n);
+      return {
+        name,
+        category: DATA.categoryOf.get(name),
+        serving_size: n.serving_size,
+        nutrition: {
+          calories: n.calories ?? null,
+          carbohydrates_gm: n.carbohydrates_gm ?? null,
+          glycemic_index: n.glycemic_index ?? null,
+          glycemic_load: Number.isFinite(gl) ? Math.round(gl * 10) / 10 : null,
+          protein_gm: n.protein_gm ?? null,
+          fiber_gm: n.fiber_gm ?? null
+        },
+        diets: {
+          mind_diet: d.mind_diet ?? null,
+          mediterranean_diet: d.mediterranean_diet ?? null,
+          dash_diet: d.dash_diet ?? null,
+          anti_inflammatory: d.anti_inflammatory ?? null
+        },
+        microbiome: m['gut_health/microbiome_support'],
+        cognitive: {
+          direct: c.direct_cognitive_benefits,
+          indirect: c.indirect_cognitive_benefits,
+          key_nutrients: c.key_nutrients,
+          mechanisms: c.mechanisms
+        },
+        allergens: (DATA.allergensOf.get(name) || []).slice()
+      };
+    });
+    return { items, unknown, dropped: canon.slice(COMPARE_MAX) };
+  }
+
+  // Attribute table (one column per ingredient); the best GI, GL, protein and fiber value in each row is bold
+  function createComparePanel(items) {
+    const wrap = document.createElement('div');
+    wrap.className = 'bp-compare-panel';
+    const table = document.createElement('table');
+
+    const thead = document.createElement('thead');
+    const trh = document.createElement('tr');
+    trh.appendChild(document.createElement('th'));
+    items.forEach((item, i) => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = item.name;
+      th.style.borderTop = `3px solid ${COMPARE_COLORS[i]}`;
+      trh.appendChild(th);
+    });
+    thead.appendChild(trh);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    COMPARE_ROWS.forEach(([label, value, better]) => {
+      const values = items.map(value);
+      const numbers = values.filter(v => typeof v === 'number');
+      const best = better && numbers.length > 1 && new Set(numbers).size > 1
+        ? (better === 'low' ? Math.min(...numbers) : Math.max(...numbers))
+        : undefined;
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      tr.appendChild(th);
+      values.forEach(v => {
+        const td = document.createElement('td');
+        td.textContent = displayValue(v);
+        if (typeof v === 'number') td.className = v === best ? 'num bp-best' : 'num';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+    return wrap;
+  }
+
+  function svgEl(tag, attrs, text) {
+    const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attrs || {}).forEach(([k, v]) => node.setAttribute(k, String(v)));
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  // Grouped horizontal bars per table serving: one group per COMPARE_CHART metric, one bar per ingredient
+  function createCompareChart(items) {
+    const width = 640, labelW = 110, valueW = 70, barH = 14, gap = 4, groupGap = 18, headH = 18;
+    const plotW = width - labelW - valueW;
+    const height = COMPARE_CHART.length * (headH + items.length * (barH + gap) + groupGap);
+    const svg = svgEl('svg', { class: 'bp-compare-chart', viewBox: `0 0 ${width} ${height}`, role: 'img' });
+    const summary = COMPARE_CHART.map(m => `${m.label}: ` +
+      items.map(i => `${i.name} ${displayValue(i.nutrition[m.key])}`).join(', ')).join('; ');
+    svg.setAttribute('aria-label', `Per serving comparison. ${summary}`);
+
+    let y = 0;
+    COMPARE_CHART.forEach(metric => {
+      svg.appendChild(svgEl('text', { x: 0, y: y + 13, class: 'bp-metric' }, metric.unit ? `${metric.label} (${metric.unit})` : metric.label));
+      y += headH;
+      const max = Math.max(0, ...items.map(i => i.nutrition[metric.key]).filter(v => typeof v === 'number'));
+      items.forEach((item, i) => {
+        const v = item.nutrition[metric.key];
+        const textY = y + barH - 3;
+        svg.appendChild(svgEl('text', { x: 0, y: textY, class: 'bp-muted' }, item.name.length > 16 ? item.name.slice(0, 15) + '…' : item.name));
+        if (typeof v === 'number') {
+          const w = v > 0 && max > 0 ? Math.max(1, Math.round((v / max) * plotW * 10) / 10) : 0;
+          if (w) {
+            const bar = svgEl('rect', { x: labelW, y, width: w, height: barH, rx: 3, fill: COMPARE_COLORS[i] });
+            bar.appendChild(svgEl('title', {}, `${item.name}: ${v}${metric.unit ? ' ' + metric.unit : ''}`));
+            svg.appendChild(bar);
+          }
+          svg.appendChild(svgEl('text', { x: labelW + w + 6, y: textY }, String(v)));
+        } else {
+          svg.appendChild(svgEl('text', { x: labelW, y: textY, class: 'bp-muted' }, 'no data'));
+        }
+        y += barH + gap;
+      });
+      y += groupGap;
+    });
+    return svg;
+  }
+
+  function createComparison(names) {
+    ensureCompareStyle();
+    const cmp = compareIngredients(names);
+    const box = document.createElement('div');
+    box.className = 'card bp-compare';
+    const h = document.createElement('h3');
+    h.textContent = cmp.items.length ? `Comparing ${cmp.items.map(i => i.name).join(' vs. ')}` : 'Compare Ingredients';
+    box.appendChild(h);
+
+    const notes = [];
+    if (cmp.unknown.length) notes.push(`Not in master.csv: ${cmp.unknown.join(', ')}.`);
+    if (cmp.dropped.length) notes.push(`Up to ${COMPARE_MAX} at a time; left out ${cmp.dropped.join(', ')}.`);
+    if (!cmp.items.length) notes.push('Add an ingredient to start comparing.');
+    if (notes.length) {
+      const p = document.createElement('p');
+      p.className = 'muted';
+      p.textContent = notes.join(' ');
+      box.appendChild(p);
+    }
+    if (!cmp.items.length) return { element: box, comparison: cmp };
+
+    box.appendChild(createComparePanel(cmp.items));
+
+    const legend = document.createElement('ul');
+    legend.className = 'bp-compare-legend';
+    cmp.items.forEach((item, i) => {
+      const li = document.createElement('li');
+      const swatch = document.createElement('i');
+      swatch.style.background = COMPARE_COLORS[i];
+      li.append(swatch, item.name);
+      legend.appendChild(li);
+    });
+    box.appendChild(legend);
+    box.appendChild(createCompareChart(cmp.items));
+
+    const p = document.createElement('p');
+    p.className = 'muted';
+    p.textContent = 'Per table serving from table_nutrition.csv; serving sizes differ, so check the Serving row. ' +
+      'Each measure has its own scale. A blank glycemic load is estimated as GI × carbs / 100.';
+    box.appendChild(p);
+    return { element: box, comparison: cmp };
+  }
+
   // =========================
   // LOAD & RENDER
   // =========================
   async function loadAll() {
     if (DATA.loaded) return;
 
-    // Load master first (aliases)
-    DATA.master = await csv(CFG.paths.master);
-    buildMasterIndexes();
+    const res = await fetch(CFG.paths.dataset);
+    if (!res.ok) throw new Error(`Could not load ${CFG.paths.dataset} (${res.status}). Run: node scripts/build-data.js`);
+    const ds = await res.json();
 
-    // Load the four tables
-    DATA.tables.nutrition = await csv(CFG.paths.nutrition);
-    DATA.tables.cognitive = await csv(CFG.paths.cognitive);
-    DATA.tables.diet      = await csv(CFG.paths.diet);
-    DATA.tables.micro     = await csv(CFG.paths.micro);
+    DATA.master = ds.master || [];
+    buildMasterIndexes(ds.index || {});
+
+    DATA.tables.nutrition = ds.tables?.nutrition || [];
+    DATA.tables.cognitive = ds.tables?.cognitive || [];
+    DATA.tables.diet      = ds.tables?.diet      || [];
+    DATA.tables.micro     = ds.tables?.micro     || [];
 
     DATA.loaded = true;
   }
 
+  // =========================
+  // INTERACTIVE TABLES (sort, filter, column picker and pages over the rows already loaded; no extra requests)
+  // =========================
+  const TABLE_CSS = `
+    #bp-nutrition .bp-table-tools{display:flex;flex-wrap:wrap;gap:8px;align-items:center;margin:0 0 8px}
+    #bp-nutrition .bp-table-tools input[type=search]{flex:1;min-width:220px;padding:8px 10px;border:1px solid #d0d5dd;border-radius:10px}
+    #bp-nutrition .bp-table-tools select{padding:7px 8px;border:1px solid #d0d5dd;border-radius:10px;background:#fff}
+    #bp-nutrition .bp-columns{position:relative}
+    #bp-nutrition .bp-columns summary{cursor:pointer;padding:7px 10px;border:1px solid #d0d5dd;border-radius:10px;list-style:none}
+    #bp-nutrition .bp-columns[open] .bp-columns-list{position:absolute;z-index:5;right:0;min-width:220px;background:#fff;border:1px solid #e5e7eb;border-radius:10px;padding:8px 10px;box-shadow:0 8px 24px rgba(0,0,0,.12)}
+    #bp-nutrition .bp-columns-list label{display:flex;gap:8px;align-items:center;padding:2px 0;font-size:13px}
+    #bp-nutrition .bp-table-wrap{max-height:70vh;overflow:auto;border:1px solid #e5e7eb;border-radius:12px}
+    #bp-nutrition .bp-table-wrap table{border:0;border-radius:0;overflow:visible}
+    #bp-nutrition .bp-table-wrap thead th{position:sticky;top:0;z-index:1;background:#f9fafb;box-shadow:inset 0 -1px 0 #e5e7eb}
+    #bp-nutrition .bp-sort{all:unset;cursor:pointer;font-weight:600}
+    #bp-nutrition .bp-sort:focus-visible{outline:2px solid #2563eb;outline-offset:2px}
+    #bp-nutrition .bp-pager{display:flex;gap:8px;align-items:center;margin-top:8px;font-size:13px}
+    #bp-nutrition .bp-pager button{padding:4px 10px;font-size:12px}
+  `;
+  const PAGE_SIZES = [25, 50, 100];
+  // Interactive tables currently under #bp-nutrition, so a highlight click can page to its row
+  const VIEWS = [];
+
+  function ensureTableStyle() {
+    if (document.getElementById('bp-table-style')) return;
+    const style = document.createElement('style');
+    style.id = 'bp-table-style';
+    style.textContent = TABLE_CSS;
+    document.head.appendChild(style);
+  }
+
+  // 'number' (calories, GI, GL...), 'boolean' (yes/no) or 'text', from the typed dataset values
+  function columnKind(rows, col) {
+    const values = rows.map(r => r[col]).filter(v => v != null && v !== '');
+    if (values.length && values.every(v => typeof v === 'number')) return 'number';
+    if (values.length && values.every(v => typeof v === 'boolean')) return 'boolean';
+    return 'text';
+  }
+
+  // Blanks sort last in both directions
+  function sortRows(rows, col, dir, kind) {
+    const blank = v => v == null || v === '';
+    const sign = dir === 'desc' ? -1 : 1;
+    return rows.slice().sort((a, b) => {
+      const x = a[col], y = b[col];
+      if (blank(x) || blank(y)) return blank(x) - blank(y);
+      if (kind === 'number' || kind === 'boolean') return sign * (Number(x) - Number(y));
+      return sign * String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: 'base' });
+    });
+  }
+
+  // "gl" -> glycemic_load (initials), "carbs" -> carbohydrates_gm (prefix), "calories" (exact)
+  function resolveColumn(token, headers) {
+    const t = token.toLowerCase().replace(/s$/, '');
+    const exact = headers.find(h => h.toLowerCase() === token.toLowerCase());
+    if (exact) return exact;
+    const initials = headers.filter(h => h.split(/[_\/\s]+/).map(w => w[0]).join('').toLowerCase() === t);
+    if (initials.length === 1) return initials[0];
+    const prefix = headers.filter(h => h.toLowerCase().startsWith(t));
+    return prefix.length === 1 ? prefix[0] : undefined;
+  }
+
+  const FILTER_COMPARE = /([a-z][\w\/]*)\s*(<=|>=|≤|≥|<|>|=)\s*(-?\d+(?:\.\d+)?|yes|no)\b/gi;
+  const FILTER_RANGE = /([a-z][\w\/]*)\s+(\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)\b/gi;
+  const COMPARE = {
+    '<': (v, n) => v < n, '<=': (v, n) => v <= n, '≤': (v, n) => v <= n,
+    '>': (v, n) => v > n, '>=': (v, n) => v >= n, '≥': (v, n) => v >= n, '=': (v, n) => v === n
+  };
+
+  // Filter box text -> { words, tests: [{ col, test }], unknown: [column tokens this table doesn't have] }
+  // "salmon gl <= 10 calories 50-200 mind_diet=yes": every word must appear in the row, every test must pass
+  function parseFilter(text, view) {
+    const out = { words: [], tests: [], unknown: [] };
+    const filterable = view.headers.filter(h => view.kinds[h] !== 'text');
+    let rest = String(text || '').replace(FILTER_RANGE, (whole, token, lo, hi) => {
+      const col = resolveColumn(token, filterable);
+      if (!col || view.kinds[col] !== 'number') { out.unknown.push(token); return ' '; }
+      out.tests.push({ col, test: v => typeof v === 'number' && v >= Number(lo) && v <= Number(hi) });
+      return ' ';
+    });
+    rest = rest.replace(FILTER_COMPARE, (whole, token, op, value) => {
+      const col = resolveColumn(token, filterable);
+      if (!col) { out.unknown.push(token); return ' '; }
+      if (view.kinds[col] === 'boolean') {
+        if (op !== '=' || !/^(yes|no)$/i.test(value)) { out.unknown.push(whole.trim()); return ' '; }
+        const want = value.toLowerCase() === 'yes';
+        out.tests.push({ col, test: v => v === want });
+      } else {
+        const n = Number(value);
+        if (!Number.isFinite(n)) { out.unknown.push(whole.trim()); return ' '; }
+        out.tests.push({ col, test: v => typeof v === 'number' && COMPARE[op](v, n) });
+      }
+      return ' ';
+    });
+    out.words = norm(rest).split(/[\s,]+/).filter(Boolean);
+    return out;
+  }
+
+  // Rows after filter and sort
+  function viewRows(view) {
+    const f = parseFilter(view.filter, view);
+    let rows = view.rows.filter(r => {
+      if (!f.tests.every(t => t.test(r[t.col]))) return false;
+      if (!f.words.length) return true;
+      const text = norm(view.headers.map(h => displayValue(r[h])).join(' '));
+      return f.words.every(w => text.includes(w));
+    });
+    if (view.sort) rows = sortRows(rows, view.sort.col, view.sort.dir, view.kinds[view.sort.col]);
+    return { rows, unknown: f.unknown };
+  }
+
+  function sortButton(view, col) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'bp-sort';
+    const on = view.sort && view.sort.col === col;
+    b.textContent = col + (on ? (view.sort.dir === 'asc' ? ' ▲' : ' ▼') : '');
+    b.title = `Sort by ${col}`;
+    b.addEventListener('click', () => {
+      view.sort = { col, dir: on && view.sort.dir === 'asc' ? 'desc' : 'asc' };
+      view.page = 0;
+      renderView(view);
+    });
+    return b;
+  }
+
+  function renderView(view) {
+    const { rows, unknown } = viewRows(view);
+    const headers = view.headers.filter(h => !view.hidden.has(h));
+    const pages = view.pageSize ? Math.max(1, Math.ceil(rows.length / view.pageSize)) : 1;
+    view.page = Math.min(view.page, pages - 1);
+    const start = view.pageSize ? view.page * view.pageSize : 0;
+    const pageRows = view.pageSize ? rows.slice(start, start + view.pageSize) : rows;
+
+    const table = createTableElement(pageRows, headers, (th, col) => {
+      const on = view.sort && view.sort.col === col;
+      th.setAttribute('aria-sort', on ? (view.sort.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+      th.appendChild(sortButton(view, col));
+    });
+    view.els.wrap.innerHTML = '';
+    view.els.wrap.appendChild(table);
+
+    const shown = rows.length ? `${start + 1}–${start + pageRows.length} of ${rows.length}` : '0';
+    const note = unknown.length ? ` · not a filterable column here: ${unknown.join(', ')}` : '';
+    view.els.status.textContent = `Showing ${shown} row${rows.length === 1 ? '' : 's'}` +
+      (rows.length < view.rows.length ? ` (filtered from ${view.rows.length})` : '') + note;
+
+    view.els.pager.hidden = pages < 2;
+    view.els.prev.disabled = view.page === 0;
+    view.els.next.disabled = view.page >= pages - 1;
+    view.els.pageLabel.textContent = `Page ${view.page + 1} of ${pages}`;
+  }
+
+  function columnPicker(view) {
+    const details = document.createElement('details');
+    details.className = 'bp-columns';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Columns';
+    const list = document.createElement('div');
+    list.className = 'bp-columns-list';
+    view.headers.forEach((col, i) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = true;
+      box.disabled = i === 0;   // the ingredient name always stays
+      box.addEventListener('change', () => {
+        if (box.checked) view.hidden.delete(col); else view.hidden.add(col);
+        renderView(view);
+      });
+      label.append(box, col);
+      list.appendChild(label);
+    });
+    details.append(summary, list);
+    return details;
+  }
+
+  function pagerButton(text, onClick) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = 'ghost';
+    b.textContent = text;
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  // One of the four dataset tables with its toolbar: filter box, page size, column picker; sortable headers
+  function createInteractiveTable(title, rows) {
+    if (!rows || rows.length === 0) return createTable(title, rows);
+    ensureTableStyle();
+
+    const headers = chooseHeaders(rows);
+    const view = {
+      title,
+      rows,
+      headers,
+      kinds: Object.fromEntries(headers.map(h => [h, columnKind(rows, h)])),
+      hidden: new Set(),
+      sort: null,
+      filter: '',
+      pageSize: rows.length > PAGE_SIZES[0] ? PAGE_SIZES[0] : 0,
+      page: 0,
+      els: {}
+    };
+
+    const box = document.createElement('div');
+    box.className = 'card bp-table';
+    const h = document.createElement('h3');
+    h.textContent = title;
+
+    const tools = document.createElement('div');
+    tools.className = 'bp-table-tools';
+    const filter = document.createElement('input');
+    filter.type = 'search';
+    filter.setAttribute('aria-label', `Filter ${title}`);
+    const numeric = headers.filter(c => view.kinds[c] === 'number');
+    const yesNo = headers.filter(c => view.kinds[c] === 'boolean');
+    const examples = [
+      numeric.length ? (numeric.includes('glycemic_load') ? 'gl <= 10' : `${numeric[0]} < 100`) : '',
+      numeric.length ? `${numeric[0]} 50-200` : '',
+      yesNo.length ? `${yesNo[0]}=yes` : ''
+    ].filter(Boolean);
+    filter.placeholder = examples.length ? `Filter… e.g. salmon, ${examples.join(', ')}` : 'Filter rows…';
+    filter.addEventListener('input', () => { view.filter = filter.value; view.page = 0; renderView(view); });
+    tools.appendChild(filter);
+
+    if (view.pageSize) {
+      const size = document.createElement('select');
+      size.setAttribute('aria-label', 'Rows per page');
+      [...PAGE_SIZES, 0].forEach(n => {
+        const o = document.createElement('option');
+        o.value = String(n);
+        o.textContent = n ? `${n} per page` : 'All rows';
+        size.appendChild(o);
+      });
+      size.value = String(view.pageSize);
+      size.addEventListener('change', () => { view.pageSize = Number(size.value); view.page = 0; renderView(view); });
+      tools.appendChild(size);
+    }
+    tools.appendChild(columnPicker(view));
+
+    const status = document.createElement('p');
+    status.className = 'muted';
+    status.setAttribute('aria-live', 'polite');
+    const wrap = document.createElement('div');
+    wrap.className = 'bp-table-wrap';
+
+    const pager = document.createElement('div');
+    pager.className = 'bp-pager';
+    const prev = pagerButton('‹ Prev', () => { view.page -= 1; renderView(view); });
+    const next = pagerButton('Next ›', () => { view.page += 1; renderView(view); });
+    const pageLabel = document.createElement('span');
+    pager.append(prev, pageLabel, next);
+
+    view.els = { wrap, status, pager, prev, next, pageLabel };
+    box.append(h, tools, status, wrap, pager);
+    VIEWS.push(view);
+    renderView(view);
+    return box;
+  }
+
+  // Moves every table to the page holding the ingredient's row (rows hidden by a filter stay hidden)
+  function revealIngredientRows(name) {
+    VIEWS.forEach(view => {
+      if (!view.pageSize) return;
+      const { rows } = viewRows(view);
+      const i = rows.findIndex(r => { const k = getKeyValue(r); return k && (lookupCanonical(k) || k.trim()) === name; });
+      if (i === -1 || Math.floor(i / view.pageSize) === view.page) return;
+      view.page = Math.floor(i / view.pageSize);
+      renderView(view);
+    });
+  }
+
   function createTable(title, rows) {
     const box = document.createElement('div');
     box.className = 'card';
@@ -260,14 +1593,21 @@
       return box;
     }
 
-    const headers = chooseHeaders(rows);
+    box.appendChild(createTableElement(rows));
+    return box;
+  }
+
+  // headers defaults to every non-empty column of rows; headerCell(th, col) replaces the plain header text
+  function createTableElement(rows, headers, headerCell) {
+    headers = headers || chooseHeaders(rows);
     const table = document.createElement('table');
 
     const thead = document.createElement('thead');
     const trh = document.createElement('tr');
     headers.forEach(col => {
       const th = document.createElement('th');
-      th.textContent = cleanDisplay(col);
+      if (headerCell) headerCell(th, col);
+      else th.textContent = col;
       trh.appendChild(th);
     });
     thead.appendChild(trh);
@@ -276,50 +1616,62 @@
     const tbody = document.createElement('tbody');
     rows.forEach(row => {
       const tr = document.createElement('tr');
+      const key = getKeyValue(row);
+      if (key) tr.setAttribute('data-ingredient', lookupCanonical(key) || key.trim());
       headers.forEach(col => {
         const td = document.createElement('td');
-        const v = row[col];
-        td.textContent = (v != null && String(v).trim() !== '') ? cleanDisplay(v) : '—';
+        td.textContent = displayValue(row[col]);
         tr.appendChild(td);
       });
       tbody.appendChild(tr);
     });
     table.appendChild(tbody);
+    return table;
+  }
 
-    box.appendChild(table);
-    return box;
+  // The four ingredient tables filtered to the given ingredients: [{ title, rows }]
+  // allowAll: no recognised ingredient means every row (the on-page fallback); exports pass false
+  function filteredTables(ingredientList, allowAll = CFG.renderAllWhenNoIngredients) {
+    // Canonicalize supplied ingredients (from recipe or selections)
+    const canonList = canonicalizeList(ingredientList);
+    const ingredientSet = new Set(canonList);
+
+    // Filter each table (ALL if empty set and fallback enabled, NONE if empty set otherwise)
+    const base = allowAll && ingredientSet.size === 0;
+    const none = !allowAll && ingredientSet.size === 0;
+    const pick = rows => none ? [] : base ? rows.slice() : filterByIngredients(rows, ingredientSet);
+    const t1 = pick(DATA.tables.nutrition);
+    const t2 = pick(DATA.tables.cognitive);
+    const t3 = pick(DATA.tables.diet);
+    const t4 = pick(DATA.tables.micro);
+
+    return [
+      { title: 'Nutrition',                       rows: t1 },
+      { title: 'Cognitive Benefits',              rows: t2 },
+      { title: 'Diet Compatibility',              rows: t3 },
+      { title: 'Gut Health / Microbiome Support', rows: t4 }
+    ];
   }
 
-  function renderAllTables(ingredientList) {
+  function renderAllTables(ingredientList, opts) {
     const mount = document.getElementById('bp-nutrition');
     if (!mount) return;
 
     // Clear existing
     mount.innerHTML = '';
+    VIEWS.length = 0;
 
-    // Canonicalize supplied ingredients (from recipe or selections)
-    const canonList = canonicalizeList(ingredientList);
-    const ingredientSet = new Set(canonList);
-
-    // Filter each table (ALL if empty set and fallback enabled)
-    const base = CFG.renderAllWhenNoIngredients && ingredientSet.size === 0;
-    const t1 = base ? DATA.tables.nutrition.slice() : filterByIngredients(DATA.tables.nutrition, ingredientSet);
-    const t2 = base ? DATA.tables.cognitive.slice() : filterByIngredients(DATA.tables.cognitive, ingredientSet);
-    const t3 = base ? DATA.tables.diet.slice()      : filterByIngredients(DATA.tables.diet,      ingredientSet);
-    const t4 = base ? DATA.tables.micro.slice()     : filterByIngredients(DATA.tables.micro,     ingredientSet);
-
-    const any =
-      (t1 && t1.length) ||
-      (t2 && t2.length) ||
-      (t3 && t3.length) ||
-      (t4 && t4.length);
+    // Per-recipe totals and the MIND score sit above the four ingredient tables
+    const recipes = (opts && Array.isArray(opts.recipes)) ? opts.recipes : [];
+    if (recipes.length) {
+      mount.appendChild(createNutritionSummary(recipes));
+      mount.appendChild(createMindCard(recipes));
+    }
 
-    if (!any) return;
+    const tables = filteredTables(ingredientList);
+    if (!tables.some(t => t.rows && t.rows.length)) return;
 
-    mount.appendChild(createTable('Nutrition',                        t1));
-    mount.appendChild(createTable('Cognitive Benefits',               t2));
-    mount.appendChild(createTable('Diet Compatibility',               t3));
-    mount.appendChild(createTable('Gut Health / Microbiome Support',  t4));
+    tables.forEach(t => mount.appendChild(createInteractiveTable(t.title, t.rows)));
   }
 
   // =========================
@@ -328,10 +1680,11 @@
   window.BP = window.BP || {};
 
   // Main entry: call with an array of ingredient names (strings)
-  window.BP.renderTables = async function (ingredientsArray) {
+  // Optional opts.recipes (structured recipe objects) adds per-recipe nutrition totals and MIND score cards
+  window.BP.renderTables = async function (ingredientsArray, opts) {
     try {
       await loadAll();
-      renderAllTables(Array.isArray(ingredientsArray) ? ingredientsArray : []);
+      renderAllTables(Array.isArray(ingredientsArray) ? ingredientsArray : [], opts || {});
     } catch (err) {
       const mount = document.getElementById('bp-nutrition');
       if (mount) {
@@ -345,95 +1698,130 @@
     }
   };
 
-  // Phrase-based detector (optional use by your page)
-  window.BP.deriveIngredientsFromRecipe = function (text) {
-    if (!text || typeof text !== 'string') return [];
-    const hay = ' ' + norm(text) + ' ';
-    const found = new Set();
+  // Same four tables renderTables shows, as data for exports: [{ title, columns, rows: [[display strings]] }]
+  // Only the given ingredients' rows: no recognised ingredient gives empty tables, never the whole dataset
+  window.BP.getTables = async function (ingredientsArray) {
+    await loadAll();
+    return filteredTables(Array.isArray(ingredientsArray) ? ingredientsArray : [], false).map(t => {
+      const columns = chooseHeaders(t.rows);
+      return { title: t.title, columns, rows: t.rows.map(r => columns.map(c => displayValue(r[c]))) };
+    });
+  };
 
-    // Try canonical names
-    for (const canonName of DATA.masterIndex.values()) {
-      const needle = ' ' + norm(canonName) + ' ';
-      if (hay.indexOf(needle) !== -1) found.add(canonName);
-    }
-    // Try aliases
-    for (const [aliasNorm, canonName] of DATA.aliasToCanon.entries()) {
-      const needle = ' ' + aliasNorm + ' ';
-      if (hay.indexOf(needle) !== -1) found.add(canonName);
-    }
-    return Array.from(found);
+  // Canonical master.csv name for a name or alias (undefined when unknown)
+  window.BP.lookupCanonical = function (nameOrAlias) {
+    return lookupCanonical(nameOrAlias);
   };
 
-  // =========================
-  // UI ENHANCEMENT: Auto-inject "Number of recipes" (no edits to index.html)
-  // =========================
-  (function () {
-    function injectNumChooser(){
-      try {
-        const btn = Array.from(document.querySelectorAll('button'))
-          .find(b => (b.getAttribute('onclick')||'').includes('generateFromSelections'));
-        if (!btn) return;
-        const btnRow = btn.closest('.btn-row') || btn.parentElement;
-        if (!btnRow || document.getElementById('num-recipes-form')) return; // avoid duplicates
-
-        const wrap = document.createElement('div');
-        wrap.className = 'row';
-
-        const label = document.createElement('label');
-        label.setAttribute('for', 'num-recipes-form');
-        label.textContent = 'Number of recipes (optional):';
-
-        const input = document.createElement('input');
-        input.id = 'num-recipes-form';
-        input.type = 'number';
-        input.min = '1';
-        input.max = '10';
-        input.placeholder = '3–5';
-
-        wrap.appendChild(label);
-        wrap.appendChild(input);
-
-        btnRow.parentElement.insertBefore(wrap, btnRow);
-      } catch (_) {}
-    }
+  // master.csv category for a name or alias (undefined when unknown)
+  window.BP.categoryOf = function (nameOrAlias) {
+    const canon = lookupCanonical(nameOrAlias);
+    return canon ? DATA.categoryOf.get(canon) : undefined;
+  };
 
-    function wrapGenerateFromSelections(){
-      if (typeof window.generateFromSelections !== 'function' || window._bpPatchedSelections) return;
-      const original = window.generateFromSelections;
-
-      window.generateFromSelections = async function(...args){
-        const numEl = document.getElementById('num-recipes-form');
-        const n = numEl ? parseInt(numEl.value, 10) : NaN;
-
-        if (Number.isFinite(n) && typeof window.callOpenAI === 'function') {
-          const origCall = window.callOpenAI;
-          window.callOpenAI = async function(messages, ...rest){
-            try {
-              const msgs = Array.isArray(messages) ? messages.map(m => ({...m})) : [];
-              const i = msgs.findIndex(m => m && m.role === 'user' && typeof m.content === 'string');
-              if (i >= 0) {
-                msgs[i].content = msgs[i].content.replace(/^Generate\s+.*?recipes\.\s*\n?/i, '');
-                msgs[i].content = `Generate ${n} recipes.\n` + msgs[i].content;
-              }
-              return await origCall.call(this, msgs, ...rest);
-            } finally {
-              window.callOpenAI = origCall;
-            }
-          };
-        }
-        return original.apply(this, args);
-      };
+  // allergens.csv tags for a name or alias, e.g. ['milk', 'lactose'] ([] when none or unknown)
+  window.BP.allergensOf = function (nameOrAlias) {
+    const canon = lookupCanonical(nameOrAlias);
+    return ((canon && DATA.allergensOf.get(canon)) || []).slice();
+  };
 
-      window._bpPatchedSelections = true;
-    }
+  // [{ name, category, aliases, allergens }] for every master.csv ingredient, first spelling of each name (after BP.ready())
+  window.BP.listIngredients = function () {
+    const seen = new Set();
+    return DATA.master
+      .filter(r => r.ingredient_name && !seen.has(r.ingredient_name) && seen.add(r.ingredient_name))
+      .map(r => ({
+        name: r.ingredient_name,
+        category: r.category || '',
+        aliases: (r.aliases || []).slice(),
+        allergens: (r.allergens || []).slice()
+      }));
+  };
 
-    if (document && document.addEventListener) {
-      document.addEventListener('DOMContentLoaded', function(){
-        injectNumChooser();
-        wrapGenerateFromSelections();
-      });
+  // Resolves once every CSV is loaded (for callers that use the sync helpers below)
+  window.BP.ready = function () { return loadAll(); };
+
+  // { title, servings, totals, perServing, items, unmatched } for one structured recipe
+  window.BP.computeRecipeNutrition = function (recipe) {
+    return computeRecipeNutrition(recipe);
+  };
+
+  // { recipes: [{ title, score, max, healthy, limit, components, flagged, matched }], session, components }
+  window.BP.computeMindScore = function (recipes) {
+    return computeMindScore(Array.isArray(recipes) ? recipes : []);
+  };
+
+  // [{ category, items: [{ name, canonical, quantities: [{ amount, unit }], unquantified, recipes }] }] for all recipes
+  window.BP.buildShoppingList = function (recipes) {
+    return buildShoppingList(Array.isArray(recipes) ? recipes : []);
+  };
+
+  // { perServing, budget, over, contributors:[{ name, canonical, glycemicLoad }], unmatched }
+  window.BP.assessGlycemicLoad = function (recipe, budget) {
+    return assessGlycemicLoad(recipe, Number.isFinite(budget) ? budget : 10);
+  };
+
+  // Highlights detected ingredients inside root (default: recipe titles and list items) with a hover/focus card;
+  // clicking one scrolls to its rows under #bp-nutrition. Resolves to the number of highlights.
+  window.BP.highlightIngredients = async function (root, opts) {
+    await loadAll();
+    return highlightIngredients(root, (opts && opts.selector) || 'article.recipe-card h3, article.recipe-card li');
+  };
+
+  // { name, category, serving_size, calories, glycemic_index, glycemic_load, fiber_gm, cognitive, key_nutrients,
+  //   microbiome, diets: ['MIND', ...], allergens: ['gluten', ...] } from the loaded tables (after BP.ready())
+  window.BP.ingredientSummary = function (name) {
+    return ingredientSummary(name);
+  };
+
+  // { score, reasons: ['low GL (4)', ...], concerns: ['not a MIND diet food', ...] } for one ingredient under the
+  // selected goals; concerns are what conflicts with a goal (after BP.ready())
+  window.BP.goalFit = function (nameOrAlias, goals) {
+    return goalFit(nameOrAlias, Array.isArray(goals) ? goals : []);
+  };
+
+  // Same-category alternatives that fit the goals better, best first: [{ name, score, reasons, fixes }]
+  // opts.exclude names never to suggest; opts.limit (default 3)
+  window.BP.rankSubstitutes = function (nameOrAlias, goals, opts) {
+    return rankSubstitutes(nameOrAlias, Array.isArray(goals) ? goals : [], opts);
+  };
+
+  // A recipe's ingredients that conflict with the goals, with ranked swaps:
+  // [{ index, ingredient, canonical, category, concerns, alternatives: [{ name, score, reasons, fixes }] }]
+  window.BP.suggestSubstitutions = function (recipe, goals, opts) {
+    return suggestSubstitutions(recipe, Array.isArray(goals) ? goals : [], opts);
+  };
+
+  // { items: [{ name, category, serving_size, nutrition: { calories, carbohydrates_gm, glycemic_index, glycemic_load,
+  //   protein_gm, fiber_gm }, diets: { mind_diet, ... }, microbiome, cognitive: { direct, indirect, key_nutrients,
+  //   mechanisms }, allergens }], unknown: [names not in master.csv], dropped: [past the four-ingredient limit] }
+  window.BP.compareIngredients = function (names) {
+    return compareIngredients(Array.isArray(names) ? names : []);
+  };
+
+  // Renders the side-by-side panel and per-serving chart for up to four ingredients into mount (replacing its
+  // contents). Resolves to the BP.compareIngredients(...) result.
+  window.BP.renderComparison = async function (mount, names) {
+    await loadAll();
+    const { element, comparison } = createComparison(Array.isArray(names) ? names : []);
+    if (mount) {
+      mount.innerHTML = '';
+      mount.appendChild(element);
     }
-  })();
+    return comparison;
+  };
+
+  // Ingredient detector: canonical names in order of first mention.
+  // opts.threshold (0–1, default 0.75) drops weaker matches; opts.details returns every match instead:
+  // [{ name, confidence, start, end, text, term }] with character offsets of the matched span in `text`
+  window.BP.deriveIngredientsFromRecipe = function (text, opts) {
+    if (!text || typeof text !== 'string') return [];
+    const o = opts || {};
+    const threshold = Number.isFinite(o.threshold) ? o.threshold : DETECT.threshold;
+    const matches = detectIngredients(text, threshold);
+    if (o.details) return matches;
+    return Array.from(new Set(matches.map(m => m.name)));
+  };
 
   // Preload data so it's ready when renderTables(...) is called
   if (document && document.addEventListener) {
@@ -660,52 +2048,28 @@
     spin();
   }
 })();
-/* ===== AutoChooser — deterministic, exclusion-aware category picker =====
+/* ===== AutoChooser — deterministic, goal-weighted, exclusion-aware category picker =====
    What this adds:
-   - window.AutoChooser.chooseForCategories(seedText, categoryModes, exclusions)
-   - Deterministically picks ONE ingredient for each category whose mode is "GPT"
-   - Looks up candidates from master.csv (preferred) or categories.csv (fallback)
-   - Excludes anything listed in exclusions (case-insensitive match on ingredient_name)
-   - Returns { chosen: Map<category, ingredient>, diagnostics: {...} }
-
-   How to use (later, in your own submit/collect code):
+   - window.AutoChooser.chooseForCategories(seedText, categoryModes, exclusions, opts)
+   - Picks ONE ingredient for each category whose mode is "GPT", from the dataset BP.renderTables already loads
+     (data/dataset.json, built from the CSVs by scripts/build-data.js — no CSV parsing here)
+   - A category matches master.csv `category`, or a group when opts.groupOf(category) maps categories to groups
+   - exclusions may name ingredients, master.csv categories or groups
+   - opts.goals weights the draw toward ingredients that suit them (BP.goalFit: low GI/GL for blood sugar,
+     pre/probiotic for microbiome, ...); opts.avoid lists ingredients already in use. No ingredient is picked twice.
+   - Same seedText + inputs => same picks
+   - Returns { chosen: Map<category, ingredient>, picks: [{ category, ingredient, reasons, poolSize }], diagnostics }
+
+   How to use:
      const result = await window.AutoChooser.chooseForCategories(
-       seedText,                                  // e.g., 'session-1' or your recipe prompt
-       { Vegetables: "GPT", Fruit: "GPT" },       // categories where app should choose
-       ["Dairy", "Red Meat"]                      // ingredient-level exclusions (optional)
+       'session-1',                                // seed (e.g. the form as JSON)
+       { Vegetables: "GPT", Fruit: "GPT" },        // categories where the app should choose
+       ["Dairy"],                                  // exclusions (optional)
+       { goals: ["Blood Sugar Control (Low GI/GL)"], avoid: ["Kale"], groupOf: cat => groupName }
      );
-     // Merge result.chosen into your final ingredient list before building the prompt.
 */
 
 (function () {
-  // ---- tiny CSV loader (no external libs) ----
-  async function loadCSV(path) {
-    const res = await fetch(path, { cache: "no-store" });
-    if (!res.ok) throw new Error(`Failed to load ${path}: ${res.status}`);
-    const text = await res.text();
-    const lines = text.split(/\r?\n/).filter(Boolean);
-    if (lines.length === 0) return [];
-    const headers = lines[0].split(",").map(h => h.trim());
-    return lines.slice(1).map(row => {
-      const cells = row.split(","); // simple CSV; if your CSV has quoted commas, use a proper parser later
-      const obj = {};
-      headers.forEach((h, i) => obj[h] = (cells[i] ?? "").trim());
-      return obj;
-    });
-  }
-
-  // ---- mojibake cleaner (safe; no HTML changes) ----
-  function cleanDisplay(s) {
-    if (!s) return s;
-    return s
-      .replace(/\uFFFD/g, "")             // remove replacement char �
-      .replace(/Ã¢ÂÂ/g, "’")
-      .replace(/Ã‚Â/g, "")                 // stray "Â"
-      .replace(/�+/g, "")                  // any remaining sequences of �
-      .replace(/\s+/g, " ")
-      .trim();
-  }
-
   // ---- deterministic PRNG (mulberry32) ----
   function mulberry32(seed) {
     return function () {
@@ -725,74 +2089,61 @@
     return h >>> 0;
   }
 
-  // ---- pick one item deterministically from an array ----
-  function pickOneDeterministic(arr, seedText) {
-    if (!arr.length) return null;
-    const rng = mulberry32(hashSeed(seedText));
-    const idx = Math.floor(rng() * arr.length);
-    return arr[idx];
+  // ---- weighted draw: each goal point doubles an ingredient's chance ----
+  function pickWeighted(candidates, rng) {
+    if (!candidates.length) return null;
+    const weights = candidates.map(c => Math.pow(2, c.score));
+    let r = rng() * weights.reduce((a, b) => a + b, 0);
+    for (let i = 0; i < candidates.length; i++) {
+      r -= weights[i];
+      if (r < 0) return candidates[i];
+    }
+    return candidates[candidates.length - 1];
   }
 
   // ---- core: choose 1 ingredient per "GPT" category ----
-  async function chooseForCategories(seedText, categoryModes, exclusions = []) {
-    // Load data: prefer master.csv; fallback to categories.csv if needed
-    let master = [];
-    try {
-      master = await loadCSV("/data/master.csv");
-    } catch (e) {
-      // ignore; try categories.csv
-    }
-    let categories = [];
-    try {
-      categories = await loadCSV("/data/categories.csv");
-    } catch (e) {
-      // ignore
-    }
-
-    if (!master.length && !categories.length) {
-      throw new Error("No data found. Ensure /data/master.csv or /data/categories.csv exist.");
-    }
+  async function chooseForCategories(seedText, categoryModes, exclusions = [], opts = {}) {
+    if (!window.BP || typeof window.BP.ready !== 'function') throw new Error('AutoChooser needs the BrainPreserve tables module.');
+    await window.BP.ready();
 
-    // Flexible column detection
-    // Expected in master: ingredient_name, category  (case-insensitive)
-    // Expected in categories: ingredient_name, category  (or 'name' + 'category')
     const norm = s => (s || "").toLowerCase().trim();
+    const groupOf = typeof opts.groupOf === 'function' ? opts.groupOf : () => '';
+    const goals = Array.isArray(opts.goals) ? opts.goals : [];
     const exSet = new Set(exclusions.map(norm));
+    const used = new Set((opts.avoid || []).map(name => norm(window.BP.lookupCanonical(name) || name)));
 
-    function extractRows(rows) {
-      if (!rows.length) return [];
-      // find column names
-      const keys = Object.keys(rows[0]).map(k => k.trim());
-      const colName = keys.find(k => norm(k) === "ingredient_name") || keys.find(k => norm(k) === "name") || keys[0];
-      const colCat  = keys.find(k => norm(k) === "category") || keys[1] || keys[0];
-      return rows.map(r => ({
-        ingredient: cleanDisplay(r[colName] || ""),
-        category: cleanDisplay(r[colCat]   || "")
-      })).filter(r => r.ingredient && r.category);
-    }
-
-    const baseRows = extractRows(master.length ? master : categories);
+    const baseRows = window.BP.listIngredients()
+      .filter(r => r.category)
+      .filter(r => !exSet.has(norm(r.name)) && !exSet.has(norm(r.category)) && !exSet.has(norm(groupOf(r.category))));
 
     const chosen = new Map();
+    const picks = [];
     const skipped = [];
     const details = [];
 
     for (const [category, mode] of Object.entries(categoryModes || {})) {
       if (String(mode).toUpperCase() !== "GPT") continue;
 
-      const candidates = baseRows.filter(r => norm(r.category) === norm(category))
-        .filter(r => !exSet.has(norm(r.ingredient)));
+      const candidates = baseRows
+        .filter(r => norm(r.category) === norm(category) || norm(groupOf(r.category)) === norm(category))
+        .filter(r => !used.has(norm(r.name)))
+        .map(r => {
+          const { score, reasons } = window.BP.goalFit(r.name, goals);
+          return { ingredient: r.name, score, reasons };
+        });
 
-      const pick = pickOneDeterministic(candidates, `${seedText}::${category}`);
+      const pick = pickWeighted(candidates, mulberry32(hashSeed(`${seedText}::${category}`)));
       if (pick) {
+        used.add(norm(pick.ingredient));
         chosen.set(category, pick.ingredient);
-        details.push({ category, picked: pick.ingredient, poolSize: candidates.length });
+        picks.push({ category, ingredient: pick.ingredient, reasons: pick.reasons, poolSize: candidates.length });
+        details.push({ category, picked: pick.ingredient, score: pick.score, poolSize: candidates.length });
       } else {
-        skipped.push({ category, reason: "No eligible candidates (after exclusions or missing category)" });
+        skipped.push({ category, reason: "No eligible candidates (after exclusions, earlier picks or missing category)" });
       }
     }
 
-    return { chosen, diagnostics: { skipped, details, totalRows: baseRows.length } };
+    return { chosen, picks, diagnostics: { skipped, details, totalRows: baseRows.length } };
   }
 
   // expose to your app
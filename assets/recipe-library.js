@@ -0,0 +1,126 @@
+/* BrainPreserve recipe library — every generation kept in IndexedDB so it survives reloads
+   What this module provides (window.BP.library, all methods return Promises):
+   - save(entry)            store one generation: { mode, inputs, recipes, coaching, plan, tableIngredients } -> id
+   - list({ query, favorites })  newest first; query matches recipe titles, ingredients (and their canonical
+                            names), goals, selections and the custom prompt, every word must match
+   - update(id, changes)    replace an entry's recipes / coaching / plan / tableIngredients (e.g. after a swap) -> entry
+   - get(id), setFavorite(id, on), remove(id)
+   Nothing is sent anywhere; the library lives in this browser's IndexedDB ("brainpreserve", store "generations").
+*/
+
+(function () {
+  window.BP = window.BP || {};
+
+  const DB_NAME = 'brainpreserve';
+  const DB_VERSION = 1;
+  const STORE = 'generations';
+
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) { reject(new Error('This browser has no IndexedDB, so the recipe library is unavailable.')); return; }
+      const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE)) {
+          db.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true }).createIndex('createdAt', 'createdAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });   // let a later call retry (e.g. after a blocked upgrade)
+    return dbPromise;
+  }
+
+  // Runs fn(store) in one transaction; resolves with the request's result once the transaction commits
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Recipe library transaction aborted'));
+    });
+  }
+
+  function lower(s) {
+    return String(s || '').toLowerCase();
+  }
+
+  // Everything a search can hit, flattened once at save time
+  function searchText(entry) {
+    const inputs = entry.inputs || {};
+    const parts = [inputs.request, ...(inputs.goals || []), ...(inputs.exclusions || [])];
+    Object.values(inputs.selections || {}).forEach(list => parts.push(...(list || [])));
+    (entry.recipes || []).forEach(r => {
+      parts.push(r.title);
+      (r.ingredients || []).forEach(i => {
+        parts.push(i.name);
+        const canon = window.BP.lookupCanonical && window.BP.lookupCanonical(i.name);
+        if (canon) parts.push(canon);
+      });
+    });
+    return parts.filter(Boolean).map(lower).join('\n');
+  }
+
+  function matches(entry, words) {
+    const text = entry.searchText || searchText(entry);
+    return words.every(w => text.includes(w));
+  }
+
+  window.BP.library = {
+    async save(entry) {
+      const record = {
+        mode: entry.mode,
+        inputs: entry.inputs || {},
+        recipes: entry.recipes || [],
+        coaching: entry.coaching || [],
+        plan: entry.plan || null,
+        tableIngredients: entry.tableIngredients || [],
+        favorite: false,
+        createdAt: Date.now()
+      };
+      record.searchText = searchText(record);
+      return withStore('readwrite', store => store.add(record));
+    },
+
+    async list(opts = {}) {
+      const all = await withStore('readonly', store => store.getAll());
+      const words = lower(opts.query).split(/\s+/).filter(Boolean);
+      return (all || [])
+        .filter(e => (!opts.favorites || e.favorite) && matches(e, words))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async get(id) {
+      return withStore('readonly', store => store.get(id));
+    },
+
+    async update(id, changes) {
+      const entry = await this.get(id);
+      if (!entry) return undefined;
+      ['recipes', 'coaching', 'plan', 'tableIngredients'].forEach(k => {
+        if (changes && changes[k] !== undefined) entry[k] = changes[k];
+      });
+      entry.searchText = searchText(entry);
+      await withStore('readwrite', store => store.put(entry));
+      return entry;
+    },
+
+    async setFavorite(id, on) {
+      const entry = await this.get(id);
+      if (!entry) return undefined;
+      entry.favorite = !!on;
+      await withStore('readwrite', store => store.put(entry));
+      return entry;
+    },
+
+    async remove(id) {
+      return withStore('readwrite', store => store.delete(id));
+    }
+  };
+})();
@@ -0,0 +1,113 @@
+/* BrainPreserve dietary profile — the user's standing preferences, kept in localStorage between visits
+   What this module provides (window.BP.profile, all synchronous):
+   - load()                 the saved profile, normalized; DEFAULTS when nothing is saved or storage is unavailable
+   - save(profile)          normalize and store -> the stored profile
+   - clear()                forget the saved profile
+   - normalize(profile)     fill defaults and drop out-of-range values (what save() stores)
+   - toJSON(profile)        export file text: { kind: "brainpreserve-profile", version, ...profile }
+   - fromJSON(text)         parse an export file -> normalized profile; throws an Error the page can show
+   Profile: { diet, calories, mealsPerDay, servings, goals: [], allergens: [], excludeIngredients: [] }
+     diet          one of DIETS; "omnivore" adds no restriction
+     calories      daily target in kcal (800–5000) or null
+     mealsPerDay   1–6 (default 3)
+     servings      household servings per recipe (1–12) or null to let the recipe decide
+   Nothing is sent anywhere from here; the page adds the profile to each generation request.
+*/
+
+(function () {
+  window.BP = window.BP || {};
+
+  const STORAGE_KEY = 'brainpreserve-profile';
+  const KIND = 'brainpreserve-profile';
+  const VERSION = 1;
+  const DIETS = ['omnivore', 'pescatarian', 'vegetarian', 'vegan'];
+  const DEFAULTS = {
+    diet: 'omnivore',
+    calories: null,
+    mealsPerDay: 3,
+    servings: null,
+    goals: [],
+    allergens: [],
+    excludeIngredients: []
+  };
+
+  // Whole number within [min, max], else fallback
+  function wholeNumber(v, min, max, fallback) {
+    if (v == null || v === '') return fallback;
+    const n = Number(v);
+    return Number.isInteger(n) && n >= min && n <= max ? n : fallback;
+  }
+
+  function stringList(v) {
+    return Array.isArray(v) ? [...new Set(v.map(s => String(s ?? '').trim()).filter(Boolean))] : [];
+  }
+
+  function normalize(p) {
+    const src = p && typeof p === 'object' ? p : {};
+    return {
+      diet: DIETS.includes(src.diet) ? src.diet : DEFAULTS.diet,
+      calories: wholeNumber(src.calories, 800, 5000, null),
+      mealsPerDay: wholeNumber(src.mealsPerDay, 1, 6, DEFAULTS.mealsPerDay),
+      servings: wholeNumber(src.servings, 1, 12, null),
+      goals: stringList(src.goals),
+      allergens: stringList(src.allergens),
+      excludeIngredients: stringList(src.excludeIngredients)
+    };
+  }
+
+  function storage() {
+    try {
+      return window.localStorage || null;
+    } catch (_) {
+      return null;   // blocked by the browser's privacy settings
+    }
+  }
+
+  window.BP.profile = {
+    DIETS: DIETS.slice(),
+    DEFAULTS: normalize(DEFAULTS),
+
+    normalize(profile) {
+      return normalize(profile);
+    },
+
+    load() {
+      const store = storage();
+      try {
+        const raw = store && store.getItem(STORAGE_KEY);
+        return normalize(raw ? JSON.parse(raw) : DEFAULTS);
+      } catch (_) {
+        return normalize(DEFAULTS);   // unreadable entry: start over rather than break the page
+      }
+    },
+
+    save(profile) {
+      const clean = normalize(profile);
+      const store = storage();
+      if (!store) throw new Error('This browser blocks local storage, so the profile can’t be saved.');
+      store.setItem(STORAGE_KEY, JSON.stringify(clean));
+      return clean;
+    },
+
+    clear() {
+      const store = storage();
+      if (store) store.removeItem(STORAGE_KEY);
+    },
+
+    toJSON(profile) {
+      return JSON.stringify({ kind: KIND, version: VERSION, ...normalize(profile) }, null, 2) + '\n';
+    },
+
+    fromJSON(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (_) {
+        throw new Error('That file isn’t valid JSON.');
+      }
+      if (!data || typeof data !== 'object' || data.kind !== KIND) throw new Error('That file isn’t a BrainPreserve profile export.');
+      if (Number(data.version) > VERSION) throw new Error('That profile was exported by a newer version of this page.');
+      return normalize(data);
+    }
+  };
+})();
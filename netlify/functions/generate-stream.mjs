@@ -0,0 +1,112 @@
+// /netlify/functions/generate-stream.mjs
+// Streaming twin of generate.js: relays model tokens (via ../lib/providers) to the browser as server-sent events.
+// Uses the Functions v2 signature (Request in, streamed Response out); generate.js stays the
+// non-streaming fallback for clients without ReadableStream support. Takes the same typed
+// request body (see ../lib/prompts) and shares its response cache semantics (nocache: true skips it).
+//
+// Events:
+//   data: {"delta":"..."}                       each chunk of model text as it arrives
+//   event: done   data: {"recipes":[...],...,"cached":false}   validated recipes once the stream ends
+//                                                (a cache hit sends only this event, with cached: true)
+//   event: error  data: {"error":"..."}         upstream failure or malformed reply
+
+import recipesLib from '../lib/recipes.js';
+import providersLib from '../lib/providers.js';
+import promptsLib from '../lib/prompts.js';
+import guardLib from '../lib/guard.js';
+import cacheLib from '../lib/cache.js';
+
+const { parseRecipeReply } = recipesLib;
+const { getProvider } = providersLib;
+const { parseGenerateRequest, RequestError } = promptsLib;
+const { createGuard } = guardLib;
+const { createCache } = cacheLib;
+
+// Module scope so the in-memory rate-limit and cache stores survive warm invocations
+const guard = createGuard();
+const cache = createCache();
+
+const sseHeaders = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+};
+
+function json(status, obj, headers) {
+  return new Response(JSON.stringify(obj), { status, headers: { ...headers, 'Content-Type': 'application/json' } });
+}
+
+function sse(event, data) {
+  return (event ? `event: ${event}\n` : '') + `data: ${JSON.stringify(data)}\n\n`;
+}
+
+export default async (req) => {
+  const getHeader = name => req.headers.get(name);
+  const cors = guard.cors(getHeader);
+  if (req.method === 'OPTIONS') {
+    return new Response('', { status: cors['Access-Control-Allow-Origin'] ? 200 : 403, headers: cors });
+  }
+
+  try {
+    const raw = await req.text();
+    await guard.check(getHeader, raw);
+
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch (_) {
+      throw new RequestError('request body is not valid JSON');
+    }
+    const { messages, model, temperature, max_tokens } = parseGenerateRequest(body);
+
+    const key = cache.key(body, { model, temperature, max_tokens });
+    if (!body.nocache) {
+      const hit = await cache.get(key);
+      if (hit) return new Response(sse('done', { ...hit, cached: true }), { status: 200, headers: { ...cors, ...sseHeaders } });
+    }
+
+    const provider = getProvider();
+    const deltas = provider.stream({ model, messages, temperature, max_tokens, json: true });
+
+    // Pull the first chunk before committing to a 200 so upstream errors still get a proper status
+    const iterator = deltas[Symbol.asyncIterator]();
+    const first = await iterator.next();
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) => controller.enqueue(encoder.encode(sse(event, data)));
+        let content = '';
+        try {
+          for (let step = first; !step.done; step = await iterator.next()) {
+            content += step.value;
+            send(null, { delta: step.value });
+          }
+          let parsed;
+          try {
+            parsed = parseRecipeReply(content);
+          } catch (err) {
+            send('error', { error: `The recipe engine returned a malformed reply (${err.message}). Please try again.` });
+          }
+          if (parsed) {
+            await cache.set(key, parsed);
+            send('done', { ...parsed, cached: false });
+          }
+        } catch (err) {
+          send('error', { error: String(err?.message || err) });
+        } finally {
+          controller.close();
+        }
+      }
+    });
+
+    return new Response(stream, {
+      status: 200,
+      headers: { ...cors, ...sseHeaders }
+    });
+
+  } catch (err) {
+    const headers = err?.retryAfter ? { ...cors, 'Retry-After': String(err.retryAfter) } : cors;
+    return json(err?.status || 500, { error: String(err?.message || err), retryAfter: err?.retryAfter }, headers);
+  }
+};
@@ -1,69 +1,66 @@
 // /netlify/functions/generate.js
-// Uses Node 18+ native fetch (no node-fetch needed)
+// Uses Node 18+ native fetch (no node-fetch needed); the model backend comes from ../lib/providers.
+// Accepts only the typed requests described in ../lib/prompts (no raw messages[]).
+// Identical requests are answered from ../lib/cache unless the body sets nocache: true.
+
+const { parseRecipeReply } = require('../lib/recipes');
+const { getProvider } = require('../lib/providers');
+const { parseGenerateRequest, RequestError } = require('../lib/prompts');
+const { createGuard } = require('../lib/guard');
+const { createCache } = require('../lib/cache');
+
+// Module scope so the in-memory rate-limit and cache stores survive warm invocations
+const guard = createGuard();
+const cache = createCache();
 
 exports.handler = async (event) => {
-  const cors = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
-  };
+  const headerMap = Object.fromEntries(Object.entries(event.headers || {}).map(([k, v]) => [k.toLowerCase(), v]));
+  const getHeader = name => headerMap[name];
+  const cors = guard.cors(getHeader);
   if (event.httpMethod === 'OPTIONS') {
-    return { statusCode: 200, headers: cors, body: '' };
+    return { statusCode: cors['Access-Control-Allow-Origin'] ? 200 : 403, headers: cors, body: '' };
   }
 
   try {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      return {
-        statusCode: 500,
-        headers: cors,
-        body: JSON.stringify({ error: 'OPENAI_API_KEY is not set in Netlify.' })
-      };
-    }
+    const raw = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '');
+    await guard.check(getHeader, raw);
 
-    const body = JSON.parse(event.body || '{}');
-    const {
-      messages,
-      temperature = 0.4,
-      max_tokens = 1200,
-      model = 'gpt-4o-mini'
-    } = body;
+    let body;
+    try {
+      body = JSON.parse(raw || '{}');
+    } catch (_) {
+      throw new RequestError('request body is not valid JSON');
+    }
+    const { messages, model, temperature, max_tokens } = parseGenerateRequest(body);
 
-    if (!Array.isArray(messages)) {
-      return {
-        statusCode: 400,
-        headers: cors,
-        body: JSON.stringify({ error: 'messages[] required' })
-      };
+    const key = cache.key(body, { model, temperature, max_tokens });
+    if (!body.nocache) {
+      const hit = await cache.get(key);
+      if (hit) return { statusCode: 200, headers: cors, body: JSON.stringify({ ...hit, cached: true }) };
     }
 
-    const resp = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({ model, messages, temperature, max_tokens })
-    });
+    const provider = getProvider();
+    const content = await provider.complete({ model, messages, temperature, max_tokens, json: true });
 
-    const data = await resp.json();
-    if (!resp.ok) {
+    let parsed;
+    try {
+      parsed = parseRecipeReply(content);
+    } catch (err) {
       return {
-        statusCode: resp.status,
+        statusCode: 502,
         headers: cors,
-        body: JSON.stringify({ error: data?.error?.message || 'OpenAI error' })
+        body: JSON.stringify({ error: `The recipe engine returned a malformed reply (${err.message}). Please try again.` })
       };
     }
-
-    const content = data?.choices?.[0]?.message?.content ?? '';
-    return { statusCode: 200, headers: cors, body: JSON.stringify({ content }) };
+    await cache.set(key, parsed);
+    return { statusCode: 200, headers: cors, body: JSON.stringify({ ...parsed, cached: false }) };
 
   } catch (err) {
+    const headers = err?.retryAfter ? { ...cors, 'Retry-After': String(err.retryAfter) } : cors;
     return {
-      statusCode: 500,
-      headers: cors,
-      body: JSON.stringify({ error: String(err?.message || err) })
+      statusCode: err?.status || 500,
+      headers,
+      body: JSON.stringify({ error: String(err?.message || err), retryAfter: err?.retryAfter })
     };
   }
 };
-
@@ -0,0 +1,100 @@
+// /netlify/lib/cache.js
+// Response cache for identical generation requests, shared by generate.js and generate-stream.mjs.
+//
+//   CACHE_TTL_SECONDS   default 3600; 0 turns caching off
+//
+// Stores implement two methods, so a KV backend can replace the in-memory one:
+//   get(key)               -> Promise<value | undefined>
+//   set(key, value, ttlMs) -> Promise<void>
+
+const crypto = require('crypto');
+
+// Per function instance; entries vanish on cold start (use a KV store to share across instances).
+// Least recently used first out: get() and set() move a key to the end of the Map's insertion order.
+class MemoryCache {
+  constructor(maxEntries = 500) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const e = this.entries.get(key);
+    if (!e) return undefined;
+    if (e.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, e);
+    return e.value;
+  }
+
+  async set(key, value, ttlMs) {
+    if (this.entries.has(key)) this.entries.delete(key);
+    else if (this.entries.size >= this.maxEntries) this.entries.delete(this.entries.keys().next().value); // least recently used
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+}
+
+const sortedNames = v => (Array.isArray(v) ? v.map(s => String(s).trim().toLowerCase()).filter(Boolean).sort() : []);
+
+// Stable JSON (object keys sorted) so key order in the request doesn't change the hash
+function stable(v) {
+  if (Array.isArray(v)) return '[' + v.map(stable).join(',') + ']';
+  if (v && typeof v === 'object') return '{' + Object.keys(v).sort().map(k => JSON.stringify(k) + ':' + stable(v[k])).join(',') + '}';
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+// Same selections/exclusions/goals/allergy profile in any order, same count and generation settings -> same key
+function cacheKey(body, { model, temperature, max_tokens }) {
+  const selections = Object.create(null);
+  Object.entries(body.selections || {}).forEach(([cat, list]) => {
+    const names = sortedNames(list);
+    if (names.length) selections[cat.trim().toLowerCase()] = names;
+  });
+  const normalized = {
+    mode: body.mode,
+    request: typeof body.request === 'string' ? body.request.trim().replace(/\s+/g, ' ').toLowerCase() : undefined,
+    selections,
+    exclusions: sortedNames(body.exclusions),
+    goals: sortedNames(body.goals),
+    allergens: sortedNames(body.allergens),
+    excludeIngredients: sortedNames(body.excludeIngredients),
+    diet: body.diet || null,
+    calories: body.calories == null || body.calories === '' ? null : Number(body.calories),
+    mealsPerDay: body.mealsPerDay == null || body.mealsPerDay === '' ? null : Number(body.mealsPerDay),
+    servings: body.servings == null || body.servings === '' ? null : Number(body.servings),
+    count: body.count == null || body.count === '' ? null : Number(body.count),
+    avoid: body.avoid,
+    recipe: body.recipe,
+    focus: body.focus,
+    budget: body.budget,
+    highGl: body.highGl,
+    swap: body.swap,
+    day: body.day,
+    meals: body.meals,
+    needs: body.needs,
+    avoidMains: sortedNames(body.avoidMains),
+    model,
+    temperature,
+    max_tokens
+  };
+  return 'gen:' + crypto.createHash('sha256').update(stable(normalized)).digest('hex');
+}
+
+function createCache({ env = process.env, store = new MemoryCache() } = {}) {
+  const ttlSeconds = env.CACHE_TTL_SECONDS == null || env.CACHE_TTL_SECONDS === '' ? 3600 : Number(env.CACHE_TTL_SECONDS);
+  const enabled = Number.isFinite(ttlSeconds) && ttlSeconds > 0;
+
+  return {
+    key: cacheKey,
+    async get(key) {
+      return enabled ? store.get(key) : undefined;
+    },
+    async set(key, value) {
+      if (enabled) await store.set(key, value, ttlSeconds * 1000);
+    }
+  };
+}
+
+module.exports = { createCache, MemoryCache, cacheKey };
@@ -0,0 +1,110 @@
+// /netlify/lib/guard.js
+// Abuse protection shared by generate.js and generate-stream.mjs: origin allow-list (replaces
+// Access-Control-Allow-Origin: *), request-size cap and per-client rate limiting.
+//
+//   ALLOWED_ORIGINS            comma list; defaults to the site's own URL/DEPLOY_PRIME_URL + local netlify dev
+//   MAX_BODY_BYTES             default 16384
+//   RATE_LIMIT_MAX             requests per window per client, default 30
+//   RATE_LIMIT_WINDOW_SECONDS  default 60
+//
+// One click in the page can cost several requests (CFG in index.html sets the retry counts):
+//   selections generation  1 + exclusionRetries (2) re-prompts + glReworkAttempts (1) per recipe: 8 with five recipes
+//   Plan My Week           7 day calls + up to exclusionRetries (2) re-dos per meal that repeats a neighbouring day's
+//                          main or breaks the exclusions (42) + planTopUps (4) target top-ups: 53 at worst; a typical
+//                          week needs 7 + a few re-dos + the top-ups, roughly 11-20
+// The page sends the follow-ups through callWaitingOutLimit() in index.html, which waits out a 429's Retry-After (a
+// fresh window) before retrying, so hitting the limit slows a result down rather than breaking it half way. The default
+// of 30 covers a typical week plan without waits; lowering RATE_LIMIT_MAX below ~20 makes most plans pause.
+//
+// Rate-limit stores implement one method, so a KV backend (Netlify Blobs, Upstash, Redis...) can replace
+// the in-memory one:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>   // count includes this hit; resetAt is epoch ms
+
+// Per function instance; fine for local dev, resets on cold start (use a KV store in production)
+class MemoryStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async hit(key, windowMs) {
+    const now = Date.now();
+    let b = this.buckets.get(key);
+    if (!b || b.resetAt <= now) {
+      b = { count: 0, resetAt: now + windowMs };
+      this.buckets.set(key, b);
+    }
+    b.count += 1;
+    if (this.buckets.size > 5000) {
+      for (const [k, v] of this.buckets) if (v.resetAt <= now) this.buckets.delete(k);
+    }
+    return { count: b.count, resetAt: b.resetAt };
+  }
+}
+
+function intEnv(v, fallback) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function allowedOrigins(env) {
+  if (env.ALLOWED_ORIGINS) return env.ALLOWED_ORIGINS.split(',').map(s => s.trim().replace(/\/+$/, '')).filter(Boolean);
+  return [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL, 'http://localhost:8888']
+    .filter(Boolean)
+    .map(s => s.replace(/\/+$/, ''));
+}
+
+// Netlify (and netlify dev) sets x-nf-client-connection-ip; fall back to the first x-forwarded-for hop.
+// '' when neither is present: check() rejects those rather than pooling every such caller in one bucket.
+function clientId(getHeader) {
+  return getHeader('x-nf-client-connection-ip') || String(getHeader('x-forwarded-for') || '').split(',')[0].trim();
+}
+
+class GuardError extends Error {
+  constructor(message, status, retryAfter) {
+    super(message);
+    this.name = 'GuardError';
+    this.status = status;
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+function createGuard({ env = process.env, store = new MemoryStore() } = {}) {
+  const origins = allowedOrigins(env);
+  const maxBytes = intEnv(env.MAX_BODY_BYTES, 16384);
+  const limit = intEnv(env.RATE_LIMIT_MAX, 30);
+  const windowMs = intEnv(env.RATE_LIMIT_WINDOW_SECONDS, 60) * 1000;
+
+  // CORS headers for this request's Origin; requests without an Origin (same-origin tools, curl) get none
+  function cors(getHeader) {
+    const origin = String(getHeader('origin') || '').replace(/\/+$/, '');
+    const headers = {
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+      'Access-Control-Expose-Headers': 'Retry-After',
+      'Vary': 'Origin'
+    };
+    if (origin && origins.includes(origin)) headers['Access-Control-Allow-Origin'] = origin;
+    return headers;
+  }
+
+  // Throws GuardError (400 / 403 / 413 / 429) or resolves when the request may proceed
+  async function check(getHeader, bodyText) {
+    const origin = String(getHeader('origin') || '').replace(/\/+$/, '');
+    if (origin && !origins.includes(origin)) throw new GuardError('This origin is not allowed to use the recipe generator.', 403);
+
+    const bytes = Buffer.byteLength(String(bodyText || ''), 'utf8');
+    if (bytes > maxBytes) throw new GuardError(`Request is too large (${bytes} bytes; limit ${maxBytes}).`, 413);
+
+    const client = clientId(getHeader);
+    if (!client) throw new GuardError('Could not identify the client for rate limiting.', 400);
+    const { count, resetAt } = await store.hit(`generate:${client}`, windowMs);
+    if (count > limit) {
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      throw new GuardError(`Too many recipe requests. Please try again in ${retryAfter} seconds.`, 429, retryAfter);
+    }
+  }
+
+  return { cors, check };
+}
+
+module.exports = { createGuard, MemoryStore, GuardError };
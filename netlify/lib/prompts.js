@@ -0,0 +1,327 @@
+// /netlify/lib/prompts.js
+// Server-owned BrainPreserve prompts. The browser sends a typed request, never raw messages:
+//
+//   { mode: 'custom',     request, count, goals, avoid }
+//   { mode: 'selections', selections: { Category: [names] }, exclusions, goals, count, avoid }
+//   { mode: 'rework',     recipe, focus: 'glycemic-load', budget, highGl, exclusions }
+//   { mode: 'rework',     recipe, focus: 'substitution', swap: { from, to }, goals, exclusions }
+//   { mode: 'plan',       day, meals, selections, exclusions, goals, needs: { leafy: 2, ... }, avoidMains, avoid }
+//
+// Every mode also takes the user's profile: allergens (ALLERGENS keys), excludeIngredients (names), diet (DIETS key),
+// calories (daily kcal), mealsPerDay and servings; custom requests may add goals (the profile's default goals).
+// Plus optional model / temperature / max_tokens, which are checked against an allow-list.
+// parseGenerateRequest() turns that into { messages, model, temperature, max_tokens } or throws RequestError.
+
+const { RECIPE_SCHEMA_PROMPT, validateRecipes } = require('./recipes');
+
+const GOALS = [
+  'General Cognitive Health',
+  'Weight Loss / Metabolic Health',
+  'Blood Sugar Control (Low GI/GL)',
+  'Cardiovascular Support (Low Sodium / Healthy Fats)',
+  'Sleep Support',
+  'Anti-inflammatory Focus (Lower DII)',
+  'Microbiome Support (Pre/Pro/Post-biotic)'
+];
+
+// Weekly planner: one request per day (or per meal when regenerating a single slot)
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+// needs keys the planner may send, with the wording used in the prompt
+const PLAN_COMPONENTS = {
+  leafy: 'green leafy vegetables',
+  berries: 'berries',
+  fish: 'fish',
+  beans: 'beans or other legumes',
+  nuts: 'nuts',
+  grains: 'whole grains',
+  poultry: 'poultry'
+};
+
+// Allergy profile keys (data/allergens.csv tags) with the wording used in the prompt, hidden sources included
+const ALLERGENS = {
+  'tree-nuts': 'tree nuts (almonds, walnuts, cashews, pecans, pistachios, hazelnuts, and their butters, milks and flours)',
+  peanuts: 'peanuts (including peanut butter and peanut oil)',
+  gluten: 'gluten (wheat, barley, rye, spelt, farro, semolina, regular pasta and bread, couscous, soy sauce; oats only if certified gluten-free)',
+  soy: 'soy (tofu, tempeh, edamame, miso, soy sauce, soy milk)',
+  fish: 'fish (including anchovies, fish sauce and fish oil)',
+  shellfish: 'shellfish (shrimp, prawns, crab, lobster, mussels, clams, oysters, scallops, krill)',
+  sesame: 'sesame (seeds, tahini, sesame oil)',
+  milk: 'milk and all dairy (cheese, butter, yogurt, cream, whey)',
+  lactose: 'lactose (milk, cream, soft cheeses, yogurt, ice cream; aged hard cheeses are fine)',
+  egg: 'eggs (including mayonnaise)',
+  lupin: 'lupin (lupini beans, lupin flour)'
+};
+
+// Dietary patterns with the wording used in the prompt ("omnivore" adds no line)
+const DIETS = {
+  omnivore: '',
+  pescatarian: 'pescatarian (fish and shellfish are fine; no meat or poultry)',
+  vegetarian: 'vegetarian (no meat, poultry, fish or shellfish; eggs and dairy are fine)',
+  vegan: 'vegan (no meat, poultry, fish, shellfish, eggs, dairy or honey)'
+};
+
+const LIMITS = {
+  defaultModel: 'gpt-4o-mini',
+  models: ['gpt-4o-mini', 'gpt-4o'],   // override with ALLOWED_MODELS=a,b
+  defaultMaxTokens: 1200,
+  maxTokens: 1600,                      // override with MAX_TOKENS_LIMIT
+  maxCount: 10,
+  maxText: 1000,                        // custom request characters
+  maxName: 80,                          // any single ingredient / category name
+  maxListItems: 60
+};
+
+class RequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = 400;
+  }
+}
+
+// ---- field validators ----
+function text(v, field, max) {
+  if (v == null) return '';
+  if (typeof v !== 'string') throw new RequestError(`${field} must be a string`);
+  const t = v.trim();
+  if (t.length > max) throw new RequestError(`${field} is longer than ${max} characters`);
+  return t;
+}
+
+function names(v, field) {
+  if (v == null) return [];
+  if (!Array.isArray(v)) throw new RequestError(`${field} must be an array`);
+  if (v.length > LIMITS.maxListItems) throw new RequestError(`${field} has more than ${LIMITS.maxListItems} entries`);
+  return v.map((x, i) => text(x, `${field}[${i}]`, LIMITS.maxName)).filter(Boolean);
+}
+
+function count(v) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1 || n > LIMITS.maxCount) throw new RequestError(`count must be a whole number from 1 to ${LIMITS.maxCount}`);
+  return n;
+}
+
+function goals(v) {
+  const list = names(v, 'goals');
+  const unknown = list.filter(g => !GOALS.includes(g));
+  if (unknown.length) throw new RequestError(`unknown goal(s): ${unknown.join(', ')}`);
+  return list;
+}
+
+function allergens(v) {
+  const list = names(v, 'allergens');
+  const unknown = list.filter(a => !Object.hasOwn(ALLERGENS, a));
+  if (unknown.length) throw new RequestError(`unknown allergen(s): ${unknown.join(', ')}`);
+  return list;
+}
+
+// Whole number from min to max, or undefined when absent
+function whole(v, field, min, max) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < min || n > max) throw new RequestError(`${field} must be a whole number from ${min} to ${max}`);
+  return n;
+}
+
+function diet(v) {
+  if (v == null || v === '') return '';
+  if (typeof v !== 'string' || !Object.hasOwn(DIETS, v)) throw new RequestError(`diet must be one of: ${Object.keys(DIETS).join(', ')}`);
+  return DIETS[v];
+}
+
+function selections(v) {
+  if (v == null) return {};
+  if (typeof v !== 'object' || Array.isArray(v)) throw new RequestError('selections must be an object of category -> names');
+  const keys = Object.keys(v);
+  if (keys.length > 30) throw new RequestError('selections has too many categories');
+  const out = Object.create(null);   // a "__proto__" category stays a category
+  keys.forEach(k => { out[text(k, 'selections key', LIMITS.maxName)] = names(v[k], `selections.${k}`); });
+  return out;
+}
+
+function allowedModels(env) {
+  return env.ALLOWED_MODELS ? env.ALLOWED_MODELS.split(',').map(s => s.trim()).filter(Boolean) : LIMITS.models;
+}
+
+function generationSettings(body, env) {
+  const models = allowedModels(env);
+  const model = body.model == null ? LIMITS.defaultModel : body.model;
+  if (!models.includes(model)) throw new RequestError(`model must be one of: ${models.join(', ')}`);
+
+  const cap = Number(env.MAX_TOKENS_LIMIT) > 0 ? Number(env.MAX_TOKENS_LIMIT) : LIMITS.maxTokens;
+  const max_tokens = body.max_tokens == null ? Math.min(LIMITS.defaultMaxTokens, cap) : Number(body.max_tokens);
+  if (!Number.isInteger(max_tokens) || max_tokens < 1 || max_tokens > cap) throw new RequestError(`max_tokens must be a whole number from 1 to ${cap}`);
+
+  const temperature = body.temperature == null ? 0.4 : Number(body.temperature);
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 1) throw new RequestError('temperature must be between 0 and 1');
+
+  return { model, max_tokens, temperature };
+}
+
+// ---- prompts ----
+// Profile lines (diet, calorie target, household size, allergies), shared by every mode
+function profileLines(body) {
+  const dietLine = diet(body.diet);
+  const calories = whole(body.calories, 'calories', 800, 5000);
+  const mealsPerDay = whole(body.mealsPerDay, 'mealsPerDay', 1, 6);
+  const servings = whole(body.servings, 'servings', 1, 12);
+  const allergenList = allergens(body.allergens);
+  const never = names(body.excludeIngredients, 'excludeIngredients');
+  const perMeal = calories && mealsPerDay ? ` across ${mealsPerDay} meal${mealsPerDay === 1 ? '' : 's'}, so aim for about ${Math.round(calories / mealsPerDay / 10) * 10} kcal per serving of a main meal` : '';
+  return [
+    dietLine ? `Dietary pattern: ${dietLine}.` : '',
+    calories ? `Daily calorie target: ${calories} kcal${perMeal}.` : '',
+    servings ? `Household size: make each recipe serve ${servings}.` : '',
+    allergenList.length ? `Allergies and intolerances (never use, including hidden sources in sauces, stocks, breads and toppings): ${allergenList.map(a => ALLERGENS[a]).join('; ')}.` : '',
+    never.length ? `Never use these ingredients: ${never.join(', ')}.` : ''
+  ];
+}
+
+// "A previous attempt broke …" line from the browser's output check (avoid: [{ recipe, ingredient, group }])
+function avoidLine(body) {
+  const avoid = Array.isArray(body.avoid) ? body.avoid.slice(0, LIMITS.maxListItems) : [];
+  const broke = avoid
+    .map((v, i) => `“${text(v?.recipe, `avoid[${i}].recipe`, 200)}” used ${text(v?.ingredient, `avoid[${i}].ingredient`, LIMITS.maxName)} (${text(v?.group, `avoid[${i}].group`, LIMITS.maxName)})`)
+    .join('; ');
+  return broke ? `A previous attempt broke the exclusions: ${broke}. Do not use ANY excluded ingredient, allergen or ingredient from the excluded categories.` : '';
+}
+
+function customMessages(body) {
+  const n = count(body.count);
+  const request = text(body.request, 'request', LIMITS.maxText);
+  const goalList = goals(body.goals);
+  const sys = `You are BrainPreserve’s recipe engine. Generate brain-healthy recipes with clear headings, MIND/Mediterranean alignment, minimized added sugars and ultra-processed foods, reasonable sodium, and a short coaching suggestions section tailored to the request.`;
+  const user = [
+    n ? `Generate ${n} recipes.` : 'Generate 3–5 recipes.',
+    `Request: ${request || 'Chef’s choice within brain-healthy constraints.'}`,
+    goalList.length ? `Goals: ${goalList.join(', ')}` : '',
+    ...profileLines(body),
+    avoidLine(body)
+  ].filter(Boolean).join('\n');
+  return [{ role: 'system', content: sys }, { role: 'user', content: user }];
+}
+
+// Selections / exclusions / goals / allergy lines shared by the selections and plan prompts
+function selectionContext(body) {
+  const sel = selections(body.selections);
+  const exclusions = names(body.exclusions, 'exclusions');
+  const goalList = goals(body.goals);
+
+  const selLines = Object.entries(sel)
+    .filter(([, list]) => list.length)
+    .map(([k, list]) => `${k}: ${list.join(', ')}`)
+    .join('\n');
+  return {
+    selLines,
+    exc: [exclusions.length ? `Exclude categories: ${exclusions.join(', ')}` : '', ...profileLines(body)].filter(Boolean).join('\n'),
+    goalLine: goalList.length ? `Goals: ${goalList.join(', ')}` : ''
+  };
+}
+
+function selectionsMessages(body) {
+  const n = count(body.count);
+  const { selLines, exc, goalLine } = selectionContext(body);
+
+  const sys = `You are BrainPreserve’s recipe engine. Use the provided selections, respect exclusions strictly, and tailor to the listed goals. Return ${n ? n : '3–5'} recipes with clear headings and a brief goal-aligned coaching section (e.g., lower GI/GL for blood sugar, anti-inflammatory emphasis, microbiome-supportive ferments and fibers).`;
+  const user = [
+    n ? `Generate ${n} recipes.` : '',
+    `Selections:\n${selLines || '(none)'}`,
+    exc,
+    goalLine,
+    avoidLine(body)
+  ].filter(Boolean).join('\n');
+  return [{ role: 'system', content: sys }, { role: 'user', content: user }];
+}
+
+const REWORK_FOCUS = ['glycemic-load', 'substitution'];
+
+function reworkMessages(body) {
+  let recipe;
+  try {
+    recipe = validateRecipes({ recipes: [body.recipe] }).recipes[0];
+  } catch (err) {
+    throw new RequestError(`recipe is not a valid recipe object (${err.message})`);
+  }
+  if (!REWORK_FOCUS.includes(body.focus)) throw new RequestError(`focus must be one of: ${REWORK_FOCUS.join(', ')}`);
+  const exclusions = names(body.exclusions, 'exclusions');
+
+  let sys, focusLines;
+  if (body.focus === 'glycemic-load') {
+    const budget = Number(body.budget);
+    if (!Number.isFinite(budget) || budget < 1 || budget > 100) throw new RequestError('budget must be a number from 1 to 100');
+    const highGl = names(body.highGl, 'highGl');
+    sys = `You are BrainPreserve’s recipe engine. Rework the given recipe so its glycemic load is under ${budget} per serving. Replace or reduce the highest-GL ingredients with lower-GL swaps (non-starchy vegetables, legumes, intact whole grains in smaller portions, berries), keep the dish recognisable and brain-healthy, and keep the same number of servings. Return exactly one recipe.`;
+    focusLines = [`Highest-GL ingredients: ${highGl.join('; ') || '(unknown)'}`];
+  } else {
+    const swap = body.swap;
+    if (!swap || typeof swap !== 'object' || Array.isArray(swap)) throw new RequestError('swap must be an object { from, to }');
+    const from = text(swap.from, 'swap.from', LIMITS.maxName);
+    const to = text(swap.to, 'swap.to', LIMITS.maxName);
+    if (!from || !to) throw new RequestError('swap.from and swap.to are required');
+    const goalList = goals(body.goals);
+    sys = `You are BrainPreserve’s recipe engine. Rework the given recipe by replacing one ingredient with the substitute named below. Adjust its quantity, the steps and cooking times, and the title if it names the old ingredient, so the dish works with the substitute. Change nothing else, keep the same number of servings, and return exactly one recipe.`;
+    focusLines = [
+      `Replace: ${from}`,
+      `With: ${to}`,
+      goalList.length ? `The swap serves these goals: ${goalList.join(', ')}.` : ''
+    ];
+  }
+
+  const user = [
+    `Recipe:\n${JSON.stringify(recipe)}`,
+    ...focusLines,
+    exclusions.length ? `Still exclude these categories: ${exclusions.join(', ')}.` : '',
+    ...profileLines(body)
+  ].filter(Boolean).join('\n');
+  return [{ role: 'system', content: sys }, { role: 'user', content: user }];
+}
+
+function planMessages(body) {
+  if (!DAYS.includes(body.day)) throw new RequestError(`day must be one of: ${DAYS.join(', ')}`);
+  const meals = names(body.meals, 'meals');
+  if (!meals.length || meals.some(m => !MEALS.includes(m)) || new Set(meals).size !== meals.length) {
+    throw new RequestError(`meals must list one or more of: ${MEALS.join(', ')}`);
+  }
+
+  const needs = body.needs == null ? {} : body.needs;
+  if (typeof needs !== 'object' || Array.isArray(needs)) throw new RequestError('needs must be an object of component -> servings');
+  const needLines = Object.entries(needs).map(([k, v]) => {
+    if (!Object.hasOwn(PLAN_COMPONENTS, k)) throw new RequestError(`unknown needs component: ${k}`);
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0 || n > 21) throw new RequestError(`needs.${k} must be a whole number from 0 to 21`);
+    return n ? `${PLAN_COMPONENTS[k]} in ${n} meal${n === 1 ? '' : 's'}` : '';
+  }).filter(Boolean);
+  const avoidMains = names(body.avoidMains, 'avoidMains');
+  const { selLines, exc, goalLine } = selectionContext(body);
+
+  const dayNumber = DAYS.indexOf(body.day) + 1;
+  const sys = `You are BrainPreserve’s weekly meal planner. Plan brain-healthy MIND/Mediterranean meals from the user’s selections, respect exclusions strictly, and tailor to the listed goals. Return one recipe for each requested meal, in the order given, sized for that meal (lighter breakfasts). List each recipe’s main ingredient first in its ingredients.`;
+  const user = [
+    `Generate ${meals.length} recipes.`,
+    `Day: ${body.day} (day ${dayNumber} of 7). Meals, in order: ${meals.join(', ')}.`,
+    `Selections:\n${selLines || '(none)'}`,
+    exc,
+    goalLine,
+    needLines.length ? `Still needed this week (spread over the remaining days; fit in what suits these meals): ${needLines.join('; ')}.` : '',
+    avoidMains.length ? `Do not use these as a main ingredient (they are the main ingredient on a neighbouring day): ${avoidMains.join(', ')}.` : '',
+    avoidLine(body)
+  ].filter(Boolean).join('\n');
+  return [{ role: 'system', content: sys }, { role: 'user', content: user }];
+}
+
+const MODES = { custom: customMessages, selections: selectionsMessages, rework: reworkMessages, plan: planMessages };
+
+function parseGenerateRequest(body, env = process.env) {
+  if (!body || typeof body !== 'object') throw new RequestError('request body must be a JSON object');
+  if ('messages' in body) throw new RequestError('messages[] is no longer accepted; send a typed { mode, ... } request');
+  const build = typeof body.mode === 'string' && Object.hasOwn(MODES, body.mode) ? MODES[body.mode] : undefined;
+  if (!build) throw new RequestError(`mode must be one of: ${Object.keys(MODES).join(', ')}`);
+
+  const settings = generationSettings(body, env);
+  const messages = [{ role: 'system', content: RECIPE_SCHEMA_PROMPT }, ...build(body)];
+  return { messages, ...settings };
+}
+
+module.exports = { parseGenerateRequest, RequestError, GOALS, ALLERGENS, DIETS, LIMITS, DAYS, MEALS, PLAN_COMPONENTS };
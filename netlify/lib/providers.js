@@ -0,0 +1,232 @@
+// /netlify/lib/providers.js
+// LLM provider layer used by generate.js and generate-stream.mjs, selected by environment:
+//
+//   LLM_PROVIDER=openai (default)   OPENAI_API_KEY, optional OPENAI_BASE_URL
+//   LLM_PROVIDER=openai-compatible  LLM_BASE_URL (e.g. http://localhost:8000/v1), optional LLM_API_KEY, LLM_MODEL
+//   LLM_PROVIDER=mock               no key; deterministic canned recipes for offline work and automated tests
+//
+// Every provider exposes:
+//   complete({ model, messages, temperature, max_tokens, json }) -> Promise<string>
+//   stream({ ... same ... })                                     -> AsyncIterable<string> of text deltas
+
+class ProviderError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Yields the "data:" payload of each line of an SSE response body
+async function* sseData(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) !== -1) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line.startsWith('data:')) yield line.slice(5).trim();
+    }
+  }
+}
+
+// OpenAI and anything that speaks its /chat/completions API
+function chatCompletionsProvider({ name, baseUrl, apiKey, modelOverride }) {
+  const url = baseUrl.replace(/\/+$/, '') + '/chat/completions';
+
+  async function post({ model, messages, temperature, max_tokens, json }, stream) {
+    const payload = { model: modelOverride || model, messages, temperature, max_tokens };
+    if (json) payload.response_format = { type: 'json_object' };
+    if (stream) payload.stream = true;
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+    const resp = await fetch(url, { method: 'POST', headers, body: JSON.stringify(payload) });
+    if (!resp.ok || (stream && !resp.body)) {
+      const data = await resp.json().catch(() => ({}));
+      throw new ProviderError(data?.error?.message || `${name} error`, resp.status || 502);
+    }
+    return resp;
+  }
+
+  return {
+    name,
+    async complete(opts) {
+      const data = await (await post(opts, false)).json();
+      return data?.choices?.[0]?.message?.content ?? '';
+    },
+    async *stream(opts) {
+      const resp = await post(opts, true);
+      for await (const payload of sseData(resp.body)) {
+        if (payload === '[DONE]') break;
+        let chunk;
+        try { chunk = JSON.parse(payload); } catch (_) { continue; }
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) yield delta;
+      }
+    }
+  };
+}
+
+// ---- mock ----
+const MOCK_RECIPES = [
+  {
+    title: 'Lemon-Herb Salmon with Spinach and Lentils',
+    servings: 2,
+    ingredients: [
+      { name: 'Salmon', quantity: 8, unit: 'oz' },
+      { name: 'Spinach', quantity: 2, unit: 'cups' },
+      { name: 'Lentils', quantity: 1, unit: 'cup' },
+      { name: 'Olive Oil', quantity: 1, unit: 'tbsp' },
+      { name: 'Lemon', quantity: 1, unit: '' }
+    ],
+    steps: [
+      'Warm the lentils with a pinch of salt.',
+      'Sear the salmon in olive oil, 4 minutes per side.',
+      'Wilt the spinach in the same pan and finish everything with lemon juice.'
+    ],
+    coaching_notes: ['Omega-3s from salmon plus folate from leafy greens support MIND goals.']
+  },
+  {
+    title: 'Blueberry Walnut Overnight Oats',
+    servings: 1,
+    ingredients: [
+      { name: 'Oats', quantity: 0.5, unit: 'cup' },
+      { name: 'Blueberries', quantity: 0.5, unit: 'cup' },
+      { name: 'Walnuts', quantity: 1, unit: 'oz' },
+      { name: 'Chia Seeds', quantity: 1, unit: 'tbsp' },
+      { name: 'Yogurt', quantity: 0.5, unit: 'cup' }
+    ],
+    steps: [
+      'Stir the oats, chia seeds and yogurt together with a splash of water.',
+      'Refrigerate overnight, then top with blueberries and walnuts.'
+    ],
+    coaching_notes: ['Berries twice a week and a daily handful of nuts are core MIND targets.']
+  },
+  {
+    title: 'Chickpea, Kale and Sweet Potato Bowl',
+    servings: 2,
+    ingredients: [
+      { name: 'Chickpeas', quantity: 1, unit: 'cup' },
+      { name: 'Kale', quantity: 2, unit: 'cups' },
+      { name: 'Sweet Potatoes', quantity: 1, unit: '' },
+      { name: 'Olive Oil', quantity: 1, unit: 'tbsp' },
+      { name: 'Pumpkin Seeds', quantity: 1, unit: 'oz' }
+    ],
+    steps: [
+      'Roast cubed sweet potato and chickpeas in olive oil at 425°F for 25 minutes.',
+      'Massage the kale with a little oil and salt.',
+      'Combine and scatter pumpkin seeds on top.'
+    ],
+    coaching_notes: ['Beans and intact starches keep the glycemic load moderate.']
+  },
+  {
+    title: 'Sardine and Tomato Whole Wheat Pasta',
+    servings: 2,
+    ingredients: [
+      { name: 'Whole Wheat Pasta', quantity: 2, unit: 'cups' },
+      { name: 'Sardines', quantity: 4, unit: 'oz' },
+      { name: 'Tomatoes', quantity: 1, unit: 'cup' },
+      { name: 'Olive Oil', quantity: 1, unit: 'tbsp' },
+      { name: 'Arugula', quantity: 1, unit: 'cup' }
+    ],
+    steps: [
+      'Cook the pasta until al dente.',
+      'Warm the tomatoes and sardines in olive oil, breaking the fish up.',
+      'Toss with the pasta and fold in the arugula.'
+    ],
+    coaching_notes: ['Al dente whole-grain pasta has a lower GI than soft-cooked pasta.']
+  },
+  {
+    title: 'Mushroom and Barley Soup',
+    servings: 4,
+    ingredients: [
+      { name: 'Barley', quantity: 1, unit: 'cup' },
+      { name: 'Mushrooms', quantity: 2, unit: 'cups' },
+      { name: 'Onions', quantity: 1, unit: '' },
+      { name: 'Carrots', quantity: 1, unit: 'cup' },
+      { name: 'Olive Oil', quantity: 1, unit: 'tbsp' }
+    ],
+    steps: [
+      'Soften the onion and carrots in olive oil.',
+      'Add the mushrooms and barley with 6 cups of stock.',
+      'Simmer 40 minutes until the barley is tender.'
+    ],
+    coaching_notes: ['Barley beta-glucan feeds the gut microbiome.']
+  }
+];
+
+// Same reply for the same request: the recipe count comes from "Generate N recipes" in the prompt (default 3,
+// or 1 for rework prompts). Planner prompts rotate through the recipes by day and skip the mains they're told to avoid.
+function mockReply({ messages, json }) {
+  const text = (messages || []).map(m => String(m?.content || '')).join('\n');
+  const m = text.match(/Generate\s+(\d+)\s+recipes?/i);
+  const asked = /exactly one recipe/i.test(text) ? 1 : (m ? parseInt(m[1], 10) : 3);
+  const count = Math.max(1, Math.min(MOCK_RECIPES.length, asked));
+
+  const day = text.match(/\(day (\d) of 7\)/);
+  const avoid = (text.match(/main ingredient on a neighbouring day\): (.*)\./) || [])[1];
+  const avoided = r => avoid && avoid.toLowerCase().split(', ').includes(r.ingredients[0].name.toLowerCase());
+  let pool = MOCK_RECIPES;
+  if (day) {
+    const start = ((parseInt(day[1], 10) - 1) * count) % MOCK_RECIPES.length;
+    pool = [...MOCK_RECIPES.slice(start), ...MOCK_RECIPES.slice(0, start)];
+    if (pool.filter(r => !avoided(r)).length >= count) pool = pool.filter(r => !avoided(r));
+  }
+  const recipes = pool.slice(0, count);
+  if (json) return JSON.stringify({ recipes, coaching: ['(mock provider) Canned recipes for offline testing.'] });
+  return recipes.map(r => [
+    `## ${r.title}`,
+    `Serves ${r.servings}`,
+    ...r.ingredients.map(i => `- ${[i.quantity, i.unit, i.name].filter(Boolean).join(' ')}`),
+    ...r.steps.map((s, i) => `${i + 1}. ${s}`)
+  ].join('\n')).join('\n\n');
+}
+
+function mockProvider() {
+  return {
+    name: 'mock',
+    async complete(opts) {
+      return mockReply(opts);
+    },
+    async *stream(opts) {
+      const text = mockReply(opts);
+      for (let i = 0; i < text.length; i += 24) yield text.slice(i, i + 24);
+    }
+  };
+}
+
+function getProvider(env = process.env) {
+  const kind = String(env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (kind === 'mock') return mockProvider();
+
+  if (kind === 'openai-compatible') {
+    if (!env.LLM_BASE_URL) throw new ProviderError('LLM_BASE_URL is not set for the openai-compatible provider.');
+    return chatCompletionsProvider({
+      name: 'openai-compatible',
+      baseUrl: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY,
+      modelOverride: env.LLM_MODEL
+    });
+  }
+
+  if (kind === 'openai') {
+    if (!env.OPENAI_API_KEY) throw new ProviderError('OPENAI_API_KEY is not set in Netlify.');
+    return chatCompletionsProvider({
+      name: 'OpenAI',
+      baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: env.OPENAI_API_KEY
+    });
+  }
+
+  throw new ProviderError(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}" (use openai, openai-compatible or mock).`);
+}
+
+module.exports = { getProvider, ProviderError };
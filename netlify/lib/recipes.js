@@ -0,0 +1,75 @@
+// /netlify/lib/recipes.js
+// Recipe JSON schema prompt + reply validation shared by generate.js and generate-stream.mjs
+
+// Leading system message of every generation prompt (see prompts.js)
+const RECIPE_SCHEMA_PROMPT = `Reply with ONLY a JSON object (no markdown fences) in this exact shape:
+{
+  "recipes": [
+    {
+      "title": "string",
+      "servings": 2,
+      "ingredients": [ { "name": "string", "quantity": 1.5, "unit": "cup" } ],
+      "steps": [ "string" ],
+      "coaching_notes": [ "string" ]
+    }
+  ],
+  "coaching": [ "string" ]
+}
+"quantity" is a number or null (e.g. "to taste"); "unit" may be an empty string for counted items (e.g. 2 eggs).`;
+
+// Validate (and lightly normalize) the parsed model reply. Returns { recipes, coaching } or throws.
+function validateRecipes(obj) {
+  if (!obj || typeof obj !== 'object' || !Array.isArray(obj.recipes)) {
+    throw new Error('reply has no "recipes" array');
+  }
+  if (!obj.recipes.length) throw new Error('reply contains zero recipes');
+
+  const str = v => (typeof v === 'string' ? v.trim() : '');
+  const strList = (v, where) => {
+    if (v == null) return [];
+    if (!Array.isArray(v)) throw new Error(`${where} must be an array`);
+    return v.map(str).filter(Boolean);
+  };
+
+  const recipes = obj.recipes.map((r, i) => {
+    const at = `recipes[${i}]`;
+    if (!r || typeof r !== 'object') throw new Error(`${at} is not an object`);
+
+    const title = str(r.title);
+    if (!title) throw new Error(`${at}.title is missing`);
+
+    const servings = Number(r.servings);
+    if (!Number.isFinite(servings) || servings <= 0) throw new Error(`${at}.servings must be a positive number`);
+
+    if (!Array.isArray(r.ingredients) || !r.ingredients.length) throw new Error(`${at}.ingredients must be a non-empty array`);
+    const ingredients = r.ingredients.map((ing, j) => {
+      if (!ing || typeof ing !== 'object') throw new Error(`${at}.ingredients[${j}] is not an object`);
+      const name = str(ing.name);
+      if (!name) throw new Error(`${at}.ingredients[${j}].name is missing`);
+      const q = ing.quantity == null || ing.quantity === '' ? null : Number(ing.quantity);
+      if (q !== null && !Number.isFinite(q)) throw new Error(`${at}.ingredients[${j}].quantity must be a number or null`);
+      return { name, quantity: q, unit: str(ing.unit) };
+    });
+
+    const steps = strList(r.steps, `${at}.steps`);
+    if (!steps.length) throw new Error(`${at}.steps must be a non-empty array`);
+
+    return { title, servings, ingredients, steps, coaching_notes: strList(r.coaching_notes, `${at}.coaching_notes`) };
+  });
+
+  return { recipes, coaching: strList(obj.coaching, 'coaching') };
+}
+
+function parseRecipeReply(content) {
+  // Tolerate a stray ```json fence even though the prompt forbids it
+  const raw = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```$/, '').trim();
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch (err) {
+    throw new Error('reply was not valid JSON');
+  }
+  return validateRecipes(obj);
+}
+
+module.exports = { RECIPE_SCHEMA_PROMPT, validateRecipes, parseRecipeReply };
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// /scripts/build-data.js
+// Compiles data/master.csv, the four table CSVs and allergens.csv into data/dataset.json, the single file
+// assets/nutrition-tables.js loads. Netlify runs it on deploy; the output is git-ignored, so run it locally once
+// after cloning and again after editing any CSV:
+//
+//   node scripts/build-data.js                 writes data/dataset.json
+//   node scripts/build-data.js --check         exit 1 if data/dataset.json is stale
+//   node scripts/build-data.js --dir path      read CSVs from / write JSON to another data folder
+//
+// What the build normalizes, once, instead of the browser on every load:
+//   text      mojibake repaired (UTF-8 read as Latin-1/cp1252, up to three layers), U+FFFD and NBSP removed,
+//             whitespace collapsed
+//   numbers   calories, carbs, GI, GL, protein, fiber -> number, or null when the cell isn't numeric
+//   yes/no    diet and anti-inflammatory flags -> true / false, or null when blank or unrecognized
+//   columns   rows keyed by the expected column names (table_diet_compatibility.csv's last header is
+//             mislabelled "table_nutrition"; its values are anti_inflammatory)
+//   aliases   master aliases -> array, plus index.names / index.aliases keyed exactly as the browser's norm()
+//   allergens allergens.csv tags -> master row .allergens array ("none" -> [])
+//
+// Values that can't be typed are reported here; node scripts/validate-data.js explains them row by row.
+
+const fs = require('fs');
+const path = require('path');
+const { readCsvFile } = require('./lib/csv');
+const { NAME, MASTER, TABLES, ALLERGENS, ALLERGEN_COLUMN, NUMBER_COLUMNS, YES_NO_COLUMNS, MOJIBAKE } = require('./lib/schema');
+
+const OUTPUT = 'dataset.json';
+const VERSION = 1;
+
+// ---- text ----
+// cp1252 characters in 0x80–0x9F, so "â€™" maps back to the bytes E2 80 99
+const CP1252 = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89,
+  'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95,
+  '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+const SUSPECT_RUN = /[\u0080-ÿ€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]{2,}/g;
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// One layer of repair for a run of Latin-1/cp1252 characters; undefined when the bytes aren't valid UTF-8
+function decodeRun(run) {
+  const bytes = [...run].map(ch => (ch.charCodeAt(0) <= 0xFF ? ch.charCodeAt(0) : CP1252[ch]));
+  try {
+    return utf8.decode(Uint8Array.from(bytes));
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Longest decodable stretch wins, so a real character next to the damage ("½Ã¢Â\u0080Â\u0093") is kept as is
+function repairRun(run) {
+  for (let start = 0; start < run.length - 1; start++) {
+    for (let end = run.length; end - start >= 2; end--) {
+      const decoded = decodeRun(run.slice(start, end));
+      if (decoded !== undefined) return run.slice(0, start) + decoded + repairRun(run.slice(end));
+    }
+  }
+  return run;
+}
+
+// Only runs of two or more suspect characters are touched, so a real "½ cup" or "Gruyère" survives
+function repairMojibake(s) {
+  for (let layer = 0; layer < 3; layer++) {
+    const next = s.replace(SUSPECT_RUN, repairRun);
+    if (next === s) break;
+    s = next;
+  }
+  return s;
+}
+
+function cleanText(value) {
+  return repairMojibake(String(value ?? ''))
+    .replace(/\uFFFD+/g, '')
+    .replace(/\u00A0/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Same as norm() in assets/nutrition-tables.js; index keys must match it exactly
+function norm(s) {
+  return String(s || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{Letter}\p{Number}\s\-\/&'().,]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ---- typing ----
+function typedValue(column, text, problems, where) {
+  if (NUMBER_COLUMNS.has(column)) {
+    if (text === '') return null;
+    const n = Number(text);
+    if (Number.isFinite(n)) return n;
+    problems.push(`${where} ${column}: "${text}" is not a number`);
+    return null;
+  }
+  if (YES_NO_COLUMNS.has(column)) {
+    const t = text.toLowerCase();
+    if (t === 'yes') return true;
+    if (t === 'no') return false;
+    if (text !== '') problems.push(`${where} ${column}: "${text}" is not yes/no`);
+    return null;
+  }
+  return text;
+}
+
+function compileTable(dir, spec, problems) {
+  const { rows } = readCsvFile(path.join(dir, spec.file));
+  return rows
+    .map(r => {
+      const out = {};
+      spec.columns.forEach((col, i) => {
+        out[col] = typedValue(col, cleanText(r.cells[i]), problems, `${spec.file}:${r.line}`);
+      });
+      return out;
+    })
+    .filter(row => row[NAME]);
+}
+
+// ---- build ----
+function build(dir) {
+  const problems = [];
+
+  const allergens = new Map(compileTable(dir, ALLERGENS, problems).map(row => [norm(row[NAME]), row[ALLERGEN_COLUMN]]));
+  const master = compileTable(dir, MASTER, problems).map(row => {
+    const tags = allergens.get(norm(row[NAME])) || '';
+    return {
+      ...row,
+      aliases: row.aliases ? row.aliases.split(/[;,]/).map(a => a.trim()).filter(Boolean) : [],
+      allergens: tags === 'none' ? [] : tags.split(';').map(t => t.trim()).filter(Boolean)
+    };
+  });
+
+  // First spelling wins, as the runtime index always did
+  const names = {};
+  const aliases = {};
+  for (const row of master) {
+    const key = norm(row[NAME]);
+    if (key && !(key in names)) names[key] = row[NAME];
+    for (const a of row.aliases) {
+      const k = norm(a);
+      if (k && !(k in aliases)) aliases[k] = row[NAME];
+    }
+  }
+
+  const tables = {};
+  for (const spec of TABLES) tables[spec.key] = compileTable(dir, spec, problems);
+
+  const leftovers = [];
+  const scan = (file, rows) => rows.forEach((row, i) => Object.entries(row).forEach(([col, v]) => {
+    if (typeof v === 'string' && MOJIBAKE.test(v)) leftovers.push(`${file} row ${i + 1} ${col}`);
+  }));
+  scan(MASTER.file, master);
+  TABLES.forEach(spec => scan(spec.file, tables[spec.key]));
+
+  const dataset = {
+    version: VERSION,
+    sources: [MASTER.file, ...TABLES.map(t => t.file), ALLERGENS.file],
+    master,
+    tables,
+    index: { names, aliases }
+  };
+  return { dataset, problems, leftovers };
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const dirFlag = args.indexOf('--dir');
+  const dir = dirFlag !== -1 && args[dirFlag + 1] ? path.resolve(args[dirFlag + 1]) : path.join(__dirname, '..', 'data');
+  const outFile = path.join(dir, OUTPUT);
+
+  let result;
+  try {
+    result = build(dir);
+  } catch (err) {
+    console.error(`build-data: ${err.message}`);
+    return 2;
+  }
+  const { dataset, problems, leftovers } = result;
+  const json = JSON.stringify(dataset) + '\n';
+
+  if (args.includes('--check')) {
+    const current = fs.existsSync(outFile) ? fs.readFileSync(outFile, 'utf8') : '';
+    if (current !== json) {
+      console.error(`build-data: ${path.relative(process.cwd(), outFile)} is out of date; run node scripts/build-data.js`);
+      return 1;
+    }
+    console.log('build-data: dataset is up to date');
+    return 0;
+  }
+
+  fs.writeFileSync(outFile, json);
+  const counts = TABLES.map(t => `${dataset.tables[t.key].length} ${t.key}`).join(', ');
+  console.log(`build-data: wrote ${path.relative(process.cwd(), outFile)} (${dataset.master.length} ingredients; ${counts})`);
+  if (problems.length) {
+    console.warn(`build-data: ${problems.length} value(s) left as null; see node scripts/validate-data.js`);
+    problems.forEach(p => console.warn(`  ${p}`));
+  }
+  if (leftovers.length) {
+    console.warn(`build-data: ${leftovers.length} cell(s) still look garbled after repair:`);
+    leftovers.forEach(l => console.warn(`  ${l}`));
+  }
+  return 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv);
+
+module.exports = { build, cleanText, repairMojibake, norm };
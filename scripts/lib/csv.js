@@ -0,0 +1,66 @@
+// /scripts/lib/csv.js
+// Dependency-free CSV reader for the data scripts (RFC 4180: quoted fields, "" escapes, newlines inside quotes).
+// Each record keeps the file line it starts on so reports can point at the exact row.
+
+const fs = require('fs');
+
+// -> [{ line, cells: [string] }]
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endCell = () => { cells.push(cell); cell = ''; };
+  const endRecord = () => {
+    endCell();
+    if (cells.length > 1 || cells[0] !== '') records.push({ line: startLine, cells });
+    cells = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { cell += '"'; i++; }
+        else quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || cells.length) endRecord();
+  return records;
+}
+
+// -> { header: [string], rows: [{ line, cells, get(column) }] }
+function readCsvFile(file) {
+  const text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  const [head, ...body] = parseCsv(text);
+  const header = head ? head.cells.map(h => h.trim()) : [];
+  const rows = body.map(r => ({
+    line: r.line,
+    cells: r.cells,
+    get(column) {
+      const i = header.indexOf(column);
+      return i === -1 ? undefined : (r.cells[i] ?? '');
+    }
+  }));
+  return { header, rows };
+}
+
+module.exports = { parseCsv, readCsvFile };
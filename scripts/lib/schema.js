@@ -0,0 +1,63 @@
+// /scripts/lib/schema.js
+// Expected shape of data/master.csv, the four table CSVs and allergens.csv, shared by validate-data.js and build-data.js.
+
+const NAME = 'ingredient_name';
+
+const MASTER = {
+  key: 'master',
+  file: 'master.csv',
+  columns: [
+    'ingredient_name', 'aliases', 'category', 'serving_size',
+    'direct_cognitive_benefits', 'indirect_cognitive_benefits', 'key_nutrients', 'mechanisms',
+    'calories', 'mind_diet', 'mediterranean_diet', 'dash_diet', 'anti_inflammatory',
+    'gut_health/microbiome_support',
+    'carbohydrates_gm', 'glycemic_index', 'glycemic_load', 'protein_gm', 'fiber_gm'
+  ]
+};
+
+// key = the name nutrition-tables.js uses for the table (DATA.tables[key])
+const TABLES = [
+  {
+    key: 'nutrition',
+    file: 'table_nutrition.csv',
+    columns: ['ingredient_name', 'serving_size', 'calories', 'carbohydrates_gm', 'glycemic_index', 'glycemic_load', 'protein_gm', 'fiber_gm']
+  },
+  {
+    key: 'cognitive',
+    file: 'table_cognitive_benefits.csv',
+    columns: ['ingredient_name', 'direct_cognitive_benefits', 'indirect_cognitive_benefits', 'key_nutrients', 'mechanisms']
+  },
+  {
+    key: 'diet',
+    file: 'table_diet_compatibility.csv',
+    columns: ['ingredient_name', 'mind_diet', 'mediterranean_diet', 'dash_diet', 'anti_inflammatory']
+  },
+  {
+    key: 'micro',
+    file: 'table_microbiome.csv',
+    columns: ['ingredient_name', 'gut_health/microbiome_support']
+  }
+];
+
+// Allergen tags per ingredient; merged into the master rows by the build rather than rendered as a table
+const ALLERGENS = {
+  key: 'allergens',
+  file: 'allergens.csv',
+  columns: ['ingredient_name', 'allergens']
+};
+
+const NUMBER_COLUMNS = new Set(['calories', 'carbohydrates_gm', 'glycemic_index', 'glycemic_load', 'protein_gm', 'fiber_gm']);
+const YES_NO_COLUMNS = new Set(['mind_diet', 'mediterranean_diet', 'dash_diet', 'anti_inflammatory']);
+const MICROBIOME_COLUMN = 'gut_health/microbiome_support';
+const MICROBIOME_VALUES = ['prebiotic', 'probiotic', 'postbiotic'];
+const ALLERGEN_COLUMN = 'allergens';
+// "milk" is any dairy protein (allergy); "lactose" only the dairy that still carries it (aged cheeses don't)
+const ALLERGEN_VALUES = ['tree-nuts', 'peanuts', 'gluten', 'soy', 'fish', 'shellfish', 'sesame', 'milk', 'lactose', 'egg', 'lupin'];
+
+// UTF-8 decoded as Latin-1/cp1252 (Ã¢ÂÂ, â€™, Ã©...), its double-encoded form, and U+FFFD
+const MOJIBAKE = /Ã[\u0080-¿¢ƒ‚]|Â[\u0080-¿]|â€|ï¿½|\uFFFD/;
+
+module.exports = {
+  NAME, MASTER, TABLES, ALLERGENS, NUMBER_COLUMNS, YES_NO_COLUMNS, MICROBIOME_COLUMN, MICROBIOME_VALUES,
+  ALLERGEN_COLUMN, ALLERGEN_VALUES, MOJIBAKE
+};
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+// /scripts/validate-data.js
+// Data-integrity check for data/master.csv, the four table CSVs the site renders and allergens.csv.
+//
+//   node scripts/validate-data.js            human-readable report, exit 1 if any error
+//   node scripts/validate-data.js --json     same findings as JSON
+//   node scripts/validate-data.js --strict   warnings also fail the run
+//   node scripts/validate-data.js --dir path validate another copy of the data folder
+//
+// Every table is cross-checked against master.csv. Findings carry file, line (as in an editor) and column:
+//   header        table header doesn't match the expected columns
+//   shape         row has a different number of cells than the header
+//   orphan        ingredient missing from master.csv, or master ingredient missing from a table
+//   duplicate     ingredient listed twice in the same file
+//   mismatch      table value differs from master.csv
+//   number        numeric column is blank, non-numeric or negative
+//   enum          yes/no, microbiome or allergen column outside the allowed values
+//   category      category with stray punctuation or a case-only variant of another
+//   encoding      mojibake (UTF-8 read as Latin-1) or the U+FFFD replacement character
+//   misaligned    (warning) text describes another ingredient; glycemic load doesn't fit GI × carbs
+
+const path = require('path');
+const { readCsvFile } = require('./lib/csv');
+
+const {
+  NAME, MASTER, TABLES, ALLERGENS, NUMBER_COLUMNS, YES_NO_COLUMNS, MICROBIOME_COLUMN, MICROBIOME_VALUES,
+  ALLERGEN_COLUMN, ALLERGEN_VALUES, MOJIBAKE
+} = require('./lib/schema');
+
+const MASTER_COLUMNS = MASTER.columns;
+const NARRATIVE_COLUMNS = ['direct_cognitive_benefits', 'indirect_cognitive_benefits'];
+
+// ---- helpers ----
+const normName = s => String(s || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const squash = s => String(s || '').replace(/\s+/g, ' ').trim();
+
+function snippet(text, re) {
+  const m = re.exec(text);
+  if (!m) return '';
+  const from = Math.max(0, m.index - 15);
+  return text.slice(from, m.index + m[0].length + 15).replace(/\s+/g, ' ');
+}
+
+// "blueberries" -> "blueberry", "tomatoes" -> "tomato", "oats" -> "oat"
+function singular(word) {
+  if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+  if (/(ch|sh|x|ss|o)es$/.test(word)) return word.slice(0, -2);
+  if (/[^s]s$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+const words = s => normName(s).split(/[^a-z0-9]+/).filter(Boolean);
+const phrase = s => words(s).map(singular).join(' ');
+
+function containsPhrase(haystackWords, needle) {
+  const n = needle.split(' ');
+  outer: for (let i = 0; i + n.length <= haystackWords.length; i++) {
+    for (let j = 0; j < n.length; j++) if (haystackWords[i + j] !== n[j]) continue outer;
+    return true;
+  }
+  return false;
+}
+
+// ---- report ----
+function createReport() {
+  const findings = [];
+  const add = (severity, check, file, line, column, message) => findings.push({ severity, check, file, line, column, message });
+  return {
+    findings,
+    error: (...a) => add('error', ...a),
+    warn: (...a) => add('warning', ...a)
+  };
+}
+
+// ---- loading ----
+// Reads one CSV, reports header/shape problems, and returns rows keyed by the *expected* column names
+// (cells are taken by position, so a mislabelled header doesn't hide the values underneath it).
+function loadTable(dir, file, columns, report) {
+  const { header, rows } = readCsvFile(path.join(dir, file));
+
+  columns.forEach((col, i) => {
+    if (header[i] !== col) report.error('header', file, 1, header[i] || `(column ${i + 1})`, `expected column "${col}" here, found "${header[i] ?? ''}"`);
+  });
+  header.slice(columns.length).forEach((h, i) => report.error('header', file, 1, h, `unexpected extra column ${columns.length + i + 1}`));
+
+  return rows.map(r => {
+    if (r.cells.length !== header.length) {
+      report.error('shape', file, r.line, NAME, `row has ${r.cells.length} cells but the header has ${header.length}`);
+    }
+    const values = {};
+    columns.forEach((col, i) => { values[col] = r.cells[i] ?? ''; });
+    return { line: r.line, values };
+  });
+}
+
+// ---- per-cell checks ----
+function checkCells(file, rows, columns, report) {
+  const seen = new Map();
+  for (const { line, values } of rows) {
+    const name = values[NAME].trim();
+    if (!name) report.error('orphan', file, line, NAME, 'ingredient name is blank');
+    else if (seen.has(normName(name))) report.error('duplicate', file, line, NAME, `"${name}" already appears on line ${seen.get(normName(name))}`);
+    else seen.set(normName(name), line);
+
+    for (const col of columns) {
+      const raw = values[col];
+      const v = raw.trim();
+
+      if (MOJIBAKE.test(raw)) report.error('encoding', file, line, col, `garbled characters near "${snippet(raw, MOJIBAKE)}"`);
+
+      if (NUMBER_COLUMNS.has(col)) {
+        if (v === '') report.error('number', file, line, col, 'blank');
+        else if (!Number.isFinite(Number(v))) report.error('number', file, line, col, `"${v}" is not a number (row may be shifted)`);
+        else if (Number(v) < 0) report.error('number', file, line, col, `${v} is negative`);
+      } else if (YES_NO_COLUMNS.has(col)) {
+        if (v === '') report.error('enum', file, line, col, 'blank (expected yes or no)');
+        else if (v !== 'yes' && v !== 'no') {
+          const hint = /^(yes|no)$/i.test(v) ? ` (use lowercase "${v.toLowerCase()}")` : '';
+          report.error('enum', file, line, col, `"${v}" is not yes/no${hint}`);
+        }
+      } else if (col === MICROBIOME_COLUMN) {
+        const parts = v.split(';').map(s => s.trim());
+        const ok = v === 'no' ||
+          (v !== '' && parts.every(p => MICROBIOME_VALUES.includes(p)) && new Set(parts).size === parts.length);
+        if (!ok) report.error('enum', file, line, col, `"${v}" should be "no" or a ;-list of ${MICROBIOME_VALUES.join('/')}`);
+      } else if (col === ALLERGEN_COLUMN) {
+        const parts = v.split(';').map(s => s.trim());
+        const ok = v === 'none' ||
+          (v !== '' && parts.every(p => ALLERGEN_VALUES.includes(p)) && new Set(parts).size === parts.length);
+        if (!ok) report.error('enum', file, line, col, `"${v}" should be "none" or a ;-list of ${ALLERGEN_VALUES.join('/')}`);
+      }
+    }
+  }
+}
+
+function checkCategories(file, rows, report) {
+  const byKey = new Map(); // lowercased -> Map(spelling -> [lines])
+  for (const { line, values } of rows) {
+    const cat = values.category;
+    if (!cat.trim()) { report.error('category', file, line, 'category', 'blank'); continue; }
+    if (/["“”;\\]|^\s|\s$/.test(cat)) report.error('category', file, line, 'category', `stray punctuation or whitespace in "${cat}"`);
+    const key = cat.trim().toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, new Map());
+    const spellings = byKey.get(key);
+    spellings.set(cat.trim(), [...(spellings.get(cat.trim()) || []), line]);
+  }
+  for (const spellings of byKey.values()) {
+    if (spellings.size < 2) continue;
+    const ranked = [...spellings].sort((a, b) => b[1].length - a[1].length);
+    const [main] = ranked[0];
+    for (const [variant, lines] of ranked.slice(1)) {
+      lines.forEach(line => report.error('category', file, line, 'category', `"${variant}" differs only in case from "${main}" (${ranked[0][1].length} rows)`));
+    }
+  }
+}
+
+// GL ≈ GI × carbs / 100; flag rows where the stored value is far from either total or net (minus fiber) carbs
+function checkGlycemicLoad(file, rows, report) {
+  for (const { line, values } of rows) {
+    const [gi, gl, carbs, fiber] = ['glycemic_index', 'glycemic_load', 'carbohydrates_gm', 'fiber_gm'].map(c => Number(values[c]));
+    if (![gi, gl, carbs].every(Number.isFinite) || values.glycemic_load.trim() === '') continue;
+    const candidates = [gi * carbs / 100];
+    if (Number.isFinite(fiber)) candidates.push(gi * Math.max(0, carbs - fiber) / 100);
+    const nearest = candidates.reduce((a, b) => (Math.abs(b - gl) < Math.abs(a - gl) ? b : a));
+    if (Math.abs(nearest - gl) > Math.max(5, nearest)) {
+      report.warn('misaligned', file, line, 'glycemic_load', `${gl} doesn't fit GI ${gi} × ${carbs} g carbs / 100 ≈ ${nearest.toFixed(1)}`);
+    }
+  }
+}
+
+// A narrative that never names its own ingredient (or its category) but does name another ingredient,
+// or the head noun of another category ("fish" in a vinegar row), has probably slid a row
+function checkNarratives(file, rows, master, report) {
+  const headNoun = cat => singular(words(cat.replace(/\(.*\)/, '')).pop() || '');
+  const others = master
+    .map(r => ({ name: r.values[NAME].trim(), phrase: phrase(r.values[NAME]) }))
+    .concat([...new Set(master.map(r => headNoun(r.values.category)))].map(h => ({ name: `a ${h}`, phrase: h })))
+    .filter(o => o.phrase.length >= 4);
+
+  for (const { line, values } of rows) {
+    const name = values[NAME].trim();
+    if (!name) continue;
+    const own = new Set([...words(name), ...words(values.aliases || '')].map(singular).filter(w => w.length >= 4));
+    const row = master.find(r => normName(r.values[NAME]) === normName(name));
+    if (row) words(`${row.values.aliases} ${row.values.category}`).map(singular).filter(w => w.length >= 4).forEach(w => own.add(w));
+
+    for (const col of NARRATIVE_COLUMNS) {
+      const textWords = words(values[col]).map(singular);
+      if (!textWords.length || textWords.some(w => own.has(w))) continue;
+      const named = others.find(o => normName(o.name) !== normName(name) && containsPhrase(textWords, o.phrase));
+      if (named) report.warn('misaligned', file, line, col, `text describes ${named.name} but never mentions ${name}`);
+    }
+  }
+}
+
+// ---- cross-table checks ----
+function sameValue(col, a, b) {
+  if (NUMBER_COLUMNS.has(col)) {
+    const x = Number(a), y = Number(b);
+    if (Number.isFinite(x) && Number.isFinite(y)) return Math.abs(x - y) < 1e-9;
+  }
+  return squash(a) === squash(b);
+}
+
+function crossCheck(table, rows, masterRows, report) {
+  const masterByName = new Map(masterRows.map(r => [normName(r.values[NAME]), r]));
+  const tableNames = new Set();
+
+  for (const { line, values } of rows) {
+    const key = normName(values[NAME]);
+    if (!key) continue;
+    tableNames.add(key);
+    const m = masterByName.get(key);
+    if (!m) {
+      report.error('orphan', table.file, line, NAME, `"${values[NAME].trim()}" is not in master.csv`);
+      continue;
+    }
+    for (const col of table.columns.slice(1).filter(c => MASTER_COLUMNS.includes(c))) {
+      if (!sameValue(col, values[col], m.values[col])) {
+        const show = v => (squash(v).length > 60 ? squash(v).slice(0, 57) + '...' : squash(v)) || '(blank)';
+        report.error('mismatch', table.file, line, col, `"${show(values[col])}" but master.csv line ${m.line} has "${show(m.values[col])}"`);
+      }
+    }
+  }
+
+  for (const m of masterRows) {
+    const key = normName(m.values[NAME]);
+    if (key && !tableNames.has(key)) report.error('orphan', 'master.csv', m.line, NAME, `"${m.values[NAME].trim()}" has no row in ${table.file}`);
+  }
+}
+
+// ---- main ----
+function validate(dir) {
+  const report = createReport();
+
+  const master = loadTable(dir, 'master.csv', MASTER_COLUMNS, report);
+  checkCells('master.csv', master, MASTER_COLUMNS, report);
+  checkCategories('master.csv', master, report);
+  checkGlycemicLoad('master.csv', master, report);
+  checkNarratives('master.csv', master, master, report);
+
+  for (const table of [...TABLES, ALLERGENS]) {
+    const rows = loadTable(dir, table.file, table.columns, report);
+    checkCells(table.file, rows, table.columns, report);
+    if (table.columns.includes('glycemic_load')) checkGlycemicLoad(table.file, rows, report);
+    if (table.columns.includes(NARRATIVE_COLUMNS[0])) checkNarratives(table.file, rows, master, report);
+    crossCheck(table, rows, master, report);
+  }
+
+  const order = ['master.csv', ...TABLES.map(t => t.file), ALLERGENS.file];
+  report.findings.sort((a, b) => order.indexOf(a.file) - order.indexOf(b.file) || a.line - b.line);
+  return report.findings;
+}
+
+function main(argv) {
+  const args = argv.slice(2);
+  const dirFlag = args.indexOf('--dir');
+  const dir = dirFlag !== -1 && args[dirFlag + 1] ? path.resolve(args[dirFlag + 1]) : path.join(__dirname, '..', 'data');
+
+  let findings;
+  try {
+    findings = validate(dir);
+  } catch (err) {
+    console.error(`validate-data: ${err.message}`);
+    return 2;
+  }
+
+  const errors = findings.filter(f => f.severity === 'error').length;
+  const warnings = findings.length - errors;
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ errors, warnings, findings }, null, 2));
+  } else {
+    // Paths as typed from here (data/master.csv by default), so they match the --dir that was passed
+    const shown = file => path.relative(process.cwd(), path.join(dir, file)) || file;
+    for (const f of findings) {
+      console.log(`${shown(f.file)}:${f.line}  [${f.column}]  ${f.severity} ${f.check}: ${f.message}`);
+    }
+    console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+  }
+  return errors || (args.includes('--strict') && warnings) ? 1 : 0;
+}
+
+if (require.main === module) process.exitCode = main(process.argv);
+
+module.exports = { validate };
@@ -0,0 +1,74 @@
+// /test/cache.test.js
+// Request normalisation, expiry and eviction in netlify/lib/cache.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCache, MemoryCache, cacheKey } = require('../netlify/lib/cache');
+
+const settings = { model: 'gpt-4o-mini', temperature: 0.4, max_tokens: 1200 };
+
+test('cacheKey ignores selection order, case, whitespace and key order', () => {
+  const a = cacheKey({
+    mode: 'selections',
+    selections: { Vegetables: ['Spinach', 'Kale'], Fish: ['Salmon'], Nuts: [] },
+    exclusions: ['Dairy', 'Grains'],
+    goals: ['Sleep Support', 'General Cognitive Health'],
+    count: '3'
+  }, settings);
+  const b = cacheKey({
+    count: 3,
+    goals: ['General Cognitive Health', 'Sleep Support'],
+    exclusions: ['grains', ' dairy '],
+    selections: { fish: ['salmon'], ' vegetables': ['kale', 'SPINACH'] },
+    mode: 'selections'
+  }, settings);
+  assert.strictEqual(a, b);
+
+  const custom = request => cacheKey({ mode: 'custom', request }, settings);
+  assert.strictEqual(custom('A quick  salmon dinner '), custom('a quick salmon dinner'));
+});
+
+test('cacheKey changes with anything that changes the reply', () => {
+  const base = { mode: 'selections', selections: { Fish: ['Salmon'] }, count: 3 };
+  const key = cacheKey(base, settings);
+  assert.notStrictEqual(cacheKey({ ...base, count: 4 }, settings), key);
+  assert.notStrictEqual(cacheKey({ ...base, selections: { Fish: ['Sardines'] } }, settings), key);
+  assert.notStrictEqual(cacheKey({ ...base, allergens: ['fish'] }, settings), key);
+  assert.notStrictEqual(cacheKey(base, { ...settings, temperature: 0.7 }), key);
+  assert.notStrictEqual(cacheKey({ ...base, mode: 'rework', swap: { from: 'Salmon', to: 'Sardines' } }, settings),
+    cacheKey({ ...base, mode: 'rework', swap: { from: 'Salmon', to: 'Trout' } }, settings));
+});
+
+test('entries expire after CACHE_TTL_SECONDS, and 0 turns the cache off', async () => {
+  const realNow = Date.now;
+  let now = realNow();
+  Date.now = () => now;
+  try {
+    const cache = createCache({ env: { CACHE_TTL_SECONDS: '10' } });
+    await cache.set('k', { recipes: [] });
+    now += 9999;
+    assert.deepStrictEqual(await cache.get('k'), { recipes: [] });
+    now += 1;
+    assert.strictEqual(await cache.get('k'), undefined);
+  } finally {
+    Date.now = realNow;
+  }
+
+  const off = createCache({ env: { CACHE_TTL_SECONDS: '0' } });
+  await off.set('k', { recipes: [] });
+  assert.strictEqual(await off.get('k'), undefined);
+});
+
+test('MemoryCache evicts the least recently used entry, and overwriting evicts nothing', async () => {
+  const store = new MemoryCache(2);
+  await store.set('a', 1, 60000);
+  await store.set('b', 2, 60000);
+  await store.set('b', 3, 60000);          // overwrite: 'a' must survive
+  assert.deepStrictEqual([...store.entries.keys()], ['a', 'b']);
+
+  await store.get('a');                     // 'b' is now the least recently used
+  await store.set('c', 4, 60000);
+  assert.strictEqual(await store.get('b'), undefined);
+  assert.strictEqual(await store.get('a'), 1);
+  assert.strictEqual(await store.get('c'), 4);
+});
@@ -0,0 +1,142 @@
+// /test/data.test.js
+// The data scripts: CSV reading (scripts/lib/csv.js), the schema checks in validate-data.js and the typed build,
+// on small data folders written to a temp directory.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseCsv, readCsvFile } = require('../scripts/lib/csv');
+const { MASTER, TABLES, ALLERGENS } = require('../scripts/lib/schema');
+const { validate } = require('../scripts/validate-data');
+const { build } = require('../scripts/build-data');
+
+const ROOT = path.join(__dirname, '..');
+
+test('parseCsv handles quoted commas, "" escapes and newlines inside quotes', () => {
+  const records = parseCsv('name,notes\nOats,"rolled, steel-cut"\nTea,"the ""green"" kind"\nKale,"line one\nline two"\nEgg,\n');
+  assert.deepStrictEqual(records, [
+    { line: 1, cells: ['name', 'notes'] },
+    { line: 2, cells: ['Oats', 'rolled, steel-cut'] },
+    { line: 3, cells: ['Tea', 'the "green" kind'] },
+    { line: 4, cells: ['Kale', 'line one\nline two'] },
+    { line: 6, cells: ['Egg', ''] }
+  ]);
+});
+
+test('parseCsv treats CRLF and CR like LF and skips blank lines', () => {
+  const lf = parseCsv('a,b\n1,2\n\n3,4');
+  assert.deepStrictEqual(parseCsv('a,b\r\n1,2\r\n\r\n3,4\r\n'), lf);
+  assert.deepStrictEqual(parseCsv('a,b\r1,2\r\r3,4'), lf);
+  assert.deepStrictEqual(lf.map(r => r.line), [1, 2, 4]);
+});
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bp-data-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('readCsvFile drops a UTF-8 BOM and trims the header', t => {
+  const file = path.join(tempDir(t), 'x.csv');
+  fs.writeFileSync(file, '\uFEFFingredient_name , calories\r\nOats,"150"\r\n');
+  const { header, rows } = readCsvFile(file);
+  assert.deepStrictEqual(header, ['ingredient_name', 'calories']);
+  assert.strictEqual(rows[0].get('ingredient_name'), 'Oats');
+  assert.strictEqual(rows[0].get('calories'), '150');
+  assert.strictEqual(rows[0].get('protein_gm'), undefined);
+});
+
+// ---- a one-ingredient data folder ----
+const BLUEBERRIES = {
+  ingredient_name: 'Blueberries',
+  aliases: 'Blueberry',
+  category: 'Fruits (Berries)',
+  serving_size: '1 cup',
+  direct_cognitive_benefits: 'Blueberries are linked to better memory, in older adults.',
+  indirect_cognitive_benefits: 'Blueberries support vascular health.',
+  key_nutrients: 'anthocyanins; vitamin C',
+  mechanisms: 'antioxidant',
+  calories: '84',
+  mind_diet: 'yes',
+  mediterranean_diet: 'yes',
+  dash_diet: 'yes',
+  anti_inflammatory: 'yes',
+  'gut_health/microbiome_support': 'prebiotic',
+  carbohydrates_gm: '21',
+  glycemic_index: '53',
+  glycemic_load: '11',
+  protein_gm: '1.1',
+  fiber_gm: '3.6',
+  allergens: 'none'
+};
+
+const csvCell = v => (/[",\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+const csvText = (columns, rows) => [columns, ...rows.map(r => columns.map(c => r[c]))].map(cells => cells.map(csvCell).join(',')).join('\n') + '\n';
+
+// Writes every CSV from the same rows; overrides: { 'file.csv': text } replaces one file
+function writeData(dir, rows, overrides = {}) {
+  for (const spec of [MASTER, ...TABLES, ALLERGENS]) {
+    fs.writeFileSync(path.join(dir, spec.file), overrides[spec.file] ?? csvText(spec.columns, rows));
+  }
+  return dir;
+}
+
+const checks = findings => findings.map(f => `${f.file}:${f.line} ${f.column} ${f.check}`);
+
+test('a consistent data folder validates clean and builds typed values', t => {
+  const dir = writeData(tempDir(t), [BLUEBERRIES]);
+  assert.deepStrictEqual(validate(dir), []);
+
+  const { dataset, problems, leftovers } = build(dir);
+  assert.deepStrictEqual([problems, leftovers], [[], []]);
+  const row = dataset.master[0];
+  assert.strictEqual(row.calories, 84);
+  assert.strictEqual(row.mind_diet, true);
+  assert.deepStrictEqual(row.aliases, ['Blueberry']);
+  assert.deepStrictEqual(row.allergens, []);
+  assert.strictEqual(dataset.index.aliases.blueberry, 'Blueberries');
+  assert.strictEqual(dataset.tables.nutrition[0].glycemic_load, 11);
+});
+
+test('the schema checks catch bad numbers, enums, shapes, orphans, duplicates and mojibake', t => {
+  const bad = { ...BLUEBERRIES, calories: 'eighty', mind_diet: 'Yes', 'gut_health/microbiome_support': 'prebiotic;prebiotic' };
+  const oats = { ...BLUEBERRIES, ingredient_name: 'Oats', aliases: '', category: 'Grains', direct_cognitive_benefits: 'Oats keep energy steady.', indirect_cognitive_benefits: 'Oats feed gut bacteria.', allergens: 'gluten' };
+  const dir = writeData(tempDir(t), [bad, oats], {
+    'table_nutrition.csv': csvText(TABLES[0].columns, [{ ...bad, calories: '84' }, oats, { ...oats, ingredient_name: 'Kiwi' }]),
+    'table_microbiome.csv': csvText(TABLES[3].columns, [bad, oats, oats]),
+    'allergens.csv': csvText(ALLERGENS.columns, [{ ...bad, allergens: 'nuts' }]) + 'Oats,gluten,extra\n',
+    'table_cognitive_benefits.csv': csvText(TABLES[1].columns, [{ ...bad, key_nutrients: 'vitamin CÃ¢Â€Â\u0099s' }, oats])
+  });
+
+  const found = checks(validate(dir));
+  for (const expected of [
+    'master.csv:2 calories number',
+    'master.csv:2 mind_diet enum',
+    'master.csv:2 gut_health/microbiome_support enum',
+    'table_nutrition.csv:2 calories mismatch',
+    'table_nutrition.csv:4 ingredient_name orphan',
+    'table_cognitive_benefits.csv:2 key_nutrients encoding',
+    'table_microbiome.csv:4 ingredient_name duplicate',
+    'allergens.csv:2 allergens enum',
+    'allergens.csv:3 ingredient_name shape'
+  ]) assert.ok(found.includes(expected), `missing ${expected} in:\n${found.join('\n')}`);
+});
+
+test('a renamed header column is reported on line 1', t => {
+  const columns = MASTER.columns.map(c => (c === 'calories' ? 'kcal' : c));
+  const text = csvText(columns, [{ ...BLUEBERRIES, kcal: '84' }]);
+  const dir = writeData(tempDir(t), [BLUEBERRIES], { 'master.csv': text });
+  assert.ok(checks(validate(dir)).includes('master.csv:1 kcal header'));
+});
+
+test('validate-data prints paths under the --dir it was given', t => {
+  const dir = writeData(tempDir(t), [{ ...BLUEBERRIES, calories: '-1' }]);
+  const run = spawnSync(process.execPath, [path.join(ROOT, 'scripts/validate-data.js'), '--dir', dir], { cwd: ROOT, encoding: 'utf8' });
+  assert.strictEqual(run.status, 1);
+  const first = run.stdout.split('\n')[0];
+  assert.ok(first.startsWith(`${path.relative(ROOT, path.join(dir, 'master.csv'))}:2  [calories]  error number`), first);
+  assert.ok(!run.stdout.includes('data/master.csv'), run.stdout);
+});
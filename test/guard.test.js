@@ -0,0 +1,73 @@
+// /test/guard.test.js
+// Origin allow-list, body cap and rate limiting in netlify/lib/guard.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createGuard, GuardError } = require('../netlify/lib/guard');
+
+Object.assign(process.env, { LLM_PROVIDER: 'mock', RATE_LIMIT_MAX: '2', ALLOWED_ORIGINS: 'https://brainpreserve.example' });
+const { handler } = require('../netlify/functions/generate');
+
+const headers = map => name => map[name];
+const post = (ip, extra = {}, body = JSON.stringify({ mode: 'custom', request: 'a salad', count: 1 })) =>
+  handler({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': ip, ...extra }, body });
+
+test('origins off the allow-list get a 403; allowed ones get their CORS header', async () => {
+  const blocked = await post('198.51.100.1', { origin: 'https://evil.example' });
+  assert.strictEqual(blocked.statusCode, 403);
+  assert.strictEqual(blocked.headers['Access-Control-Allow-Origin'], undefined);
+
+  const allowed = await post('198.51.100.1', { Origin: 'https://brainpreserve.example/' });
+  assert.strictEqual(allowed.statusCode, 200);
+  assert.strictEqual(allowed.headers['Access-Control-Allow-Origin'], 'https://brainpreserve.example');
+});
+
+test('bodies over MAX_BODY_BYTES get a 413', async () => {
+  const guard = createGuard({ env: { MAX_BODY_BYTES: '100' } });
+  const ip = headers({ 'x-nf-client-connection-ip': '198.51.100.2' });
+  await guard.check(ip, 'x'.repeat(100));
+  await assert.rejects(guard.check(ip, 'é'.repeat(51)), { status: 413, message: /102 bytes; limit 100/ });
+
+  const res = await post('198.51.100.2', {}, JSON.stringify({ mode: 'custom', request: 'x'.repeat(17000) }));
+  assert.strictEqual(res.statusCode, 413);
+});
+
+test('going over RATE_LIMIT_MAX gets a 429 with Retry-After', async () => {
+  assert.strictEqual((await post('198.51.100.3')).statusCode, 200);
+  assert.strictEqual((await post('198.51.100.3')).statusCode, 200);
+  const res = await post('198.51.100.3');
+  assert.strictEqual(res.statusCode, 429);
+  const secs = Number(res.headers['Retry-After']);
+  assert.ok(secs >= 1 && secs <= 60, res.headers['Retry-After']);
+  assert.strictEqual(JSON.parse(res.body).retryAfter, secs);
+  assert.match(res.headers['Access-Control-Expose-Headers'], /Retry-After/);
+});
+
+test('the counter resets once the window has passed', async () => {
+  const realNow = Date.now;
+  let now = realNow();
+  Date.now = () => now;
+  try {
+    const guard = createGuard({ env: { RATE_LIMIT_MAX: '1', RATE_LIMIT_WINDOW_SECONDS: '10' } });
+    const ip = headers({ 'x-nf-client-connection-ip': '198.51.100.4' });
+    await guard.check(ip, '{}');
+    now += 4000;
+    await assert.rejects(guard.check(ip, '{}'), { status: 429, retryAfter: 6 });
+    now += 6000;
+    await guard.check(ip, '{}');
+    await assert.rejects(guard.check(ip, '{}'), { status: 429, retryAfter: 10 });
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('requests without a client IP are rejected instead of sharing one bucket', async () => {
+  const guard = createGuard({ env: { RATE_LIMIT_MAX: '1' } });
+  await assert.rejects(guard.check(headers({}), '{}'), err => err instanceof GuardError && err.status === 400);
+  await assert.rejects(guard.check(headers({ 'x-forwarded-for': ' ' }), '{}'), { status: 400 });
+
+  // Each identified client still gets its own allowance
+  await guard.check(headers({ 'x-nf-client-connection-ip': '203.0.113.1' }), '{}');
+  await guard.check(headers({ 'x-forwarded-for': '203.0.113.2, 10.0.0.1' }), '{}');
+  await assert.rejects(guard.check(headers({ 'x-nf-client-connection-ip': '203.0.113.1' }), '{}'), { status: 429 });
+});
@@ -0,0 +1,57 @@
+// /test/prompts.test.js
+// Request validation in netlify/lib/prompts.js. Uses Node's built-in runner, no dependencies:
+//
+//   node --test test/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseGenerateRequest, RequestError } = require('../netlify/lib/prompts');
+
+process.env.LLM_PROVIDER = 'mock';
+const { handler } = require('../netlify/functions/generate');
+
+const post = body => handler({ httpMethod: 'POST', headers: { 'x-nf-client-connection-ip': '203.0.113.7' }, body: JSON.stringify(body) });
+
+test('mode names inherited from Object.prototype are rejected', async () => {
+  for (const mode of ['toString', '__proto__', 'constructor', 'hasOwnProperty']) {
+    assert.throws(() => parseGenerateRequest({ mode, request: 'dinner' }), RequestError, mode);
+    const res = await post({ mode, request: 'dinner' });
+    assert.strictEqual(res.statusCode, 400, mode);
+    assert.match(JSON.parse(res.body).error, /mode must be one of/, mode);
+  }
+});
+
+test('a known mode still builds its prompt', () => {
+  const { messages } = parseGenerateRequest({ mode: 'custom', request: 'a quick salmon dinner' });
+  assert.match(messages[messages.length - 1].content, /salmon/);
+});
+
+test('plan needs keys inherited from Object.prototype are rejected', () => {
+  const plan = { mode: 'plan', day: 'Monday', meals: ['dinner'] };
+  for (const k of ['constructor', 'toString', '__proto__']) {
+    assert.throws(() => parseGenerateRequest({ ...plan, needs: JSON.parse(`{"${k}": 1}`) }), /unknown needs component/, k);
+  }
+  const { messages } = parseGenerateRequest({ ...plan, needs: { fish: 1 } });
+  assert.match(messages[messages.length - 1].content, /fish in 1 meal/);
+});
+
+test('a "__proto__" selections category reaches the prompt and the cache key', () => {
+  const body = { mode: 'selections', selections: JSON.parse('{"__proto__": ["Salmon"], "Vegetables": ["Kale"]}') };
+  const { messages, ...settings } = parseGenerateRequest(body);
+  assert.match(messages[messages.length - 1].content, /__proto__: Salmon\nVegetables: Kale/);
+  const { cacheKey } = require('../netlify/lib/cache');
+  assert.notStrictEqual(cacheKey(body, settings), cacheKey({ ...body, selections: { Vegetables: ['Kale'] } }, settings));
+});
+
+test('a glycemic-load rework budget must be from 1 to 100', () => {
+  const recipe = { title: 'Oats', servings: 1, ingredients: [{ name: 'Oats', quantity: 1, unit: 'cup' }], steps: ['Cook'] };
+  const rework = budget => parseGenerateRequest({ mode: 'rework', focus: 'glycemic-load', recipe, budget });
+  for (const budget of [0, 0.5, -3, 101, 'ten']) assert.throws(() => rework(budget), /budget must be a number from 1 to 100/, String(budget));
+  for (const budget of [1, 10, 12.5, 100]) assert.doesNotThrow(() => rework(budget), String(budget));
+});
+
+test('a plan request passes the meal it replaces back as avoid', () => {
+  const avoid = [{ recipe: 'Shrimp Omelette', ingredient: 'Shrimp', group: 'shellfish' }];
+  const { messages } = parseGenerateRequest({ mode: 'plan', day: 'Tuesday', meals: ['breakfast'], avoid });
+  assert.match(messages[messages.length - 1].content, /A previous attempt broke the exclusions: “Shrimp Omelette” used Shrimp \(shellfish\)/);
+});
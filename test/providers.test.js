@@ -0,0 +1,72 @@
+// /test/providers.test.js
+// The mock provider and the /chat/completions client (SSE parsing) in netlify/lib/providers.js.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getProvider, ProviderError } = require('../netlify/lib/providers');
+const { parseRecipeReply } = require('../netlify/lib/recipes');
+
+const mock = getProvider({ LLM_PROVIDER: 'mock' });
+const ask = content => mock.complete({ messages: [{ role: 'user', content }], json: true });
+
+test('the mock returns N recipes for "Generate N recipes", the same ones every time', async () => {
+  for (const n of [1, 2, 5]) {
+    assert.strictEqual(parseRecipeReply(await ask(`Generate ${n} recipes.`)).recipes.length, n);
+  }
+  assert.strictEqual(parseRecipeReply(await ask('Chef’s choice')).recipes.length, 3);
+  assert.strictEqual(await ask('Generate 2 recipes.'), await ask('Generate 2 recipes.'));
+});
+
+test('the mock returns one recipe for "exactly one recipe" prompts', async () => {
+  const reply = await ask('Generate 4 recipes.\nRework the given recipe … Return exactly one recipe.');
+  assert.strictEqual(parseRecipeReply(reply).recipes.length, 1);
+});
+
+test('the mock streams the same text it completes', async () => {
+  const messages = [{ role: 'user', content: 'Generate 2 recipes.' }];
+  let streamed = '';
+  for await (const delta of mock.stream({ messages, json: true })) streamed += delta;
+  assert.strictEqual(streamed, await mock.complete({ messages, json: true }));
+});
+
+// Stubs global fetch with a 200 whose body arrives in the given byte chunks; returns the recorded calls
+function streamFetch(t, chunks) {
+  const calls = [];
+  t.mock.method(global, 'fetch', async (url, init) => {
+    calls.push({ url, init });
+    const body = new ReadableStream({
+      start(controller) {
+        chunks.forEach(c => controller.enqueue(new Uint8Array(c)));
+        controller.close();
+      }
+    });
+    return new Response(body, { status: 200 });
+  });
+  return calls;
+}
+
+test('SSE lines split across network chunks are reassembled', async t => {
+  const event = text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`;
+  const bytes = Buffer.from(event('café ') + event('{"reci') + ': keep-alive\n\n' + event('pes": []}') + 'data: [DONE]\n\n' + event('ignored'));
+  // Cut mid-"data:", mid-line and inside the two-byte "é"
+  const cuts = [3, 17, bytes.indexOf('é') + 1, 60, 95, bytes.length];
+  const calls = streamFetch(t, cuts.map((cut, i) => bytes.subarray(i ? cuts[i - 1] : 0, cut)));
+
+  const provider = getProvider({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://llm.test/v1/', LLM_MODEL: 'local' });
+  const deltas = [];
+  for await (const d of provider.stream({ model: 'gpt-4o-mini', messages: [], json: true })) deltas.push(d);
+
+  assert.deepStrictEqual(deltas, ['café ', '{"reci', 'pes": []}']);
+  assert.strictEqual(calls[0].url, 'http://llm.test/v1/chat/completions');
+  const payload = JSON.parse(calls[0].init.body);
+  assert.strictEqual(payload.model, 'local');
+  assert.strictEqual(payload.stream, true);
+  assert.deepStrictEqual(payload.response_format, { type: 'json_object' });
+});
+
+test('upstream errors become a ProviderError with the upstream status', async t => {
+  t.mock.method(global, 'fetch', async () => new Response(JSON.stringify({ error: { message: 'Invalid API key' } }), { status: 401 }));
+  const provider = getProvider({ LLM_PROVIDER: 'openai', OPENAI_API_KEY: 'sk-test' });
+  await assert.rejects(provider.complete({ model: 'gpt-4o-mini', messages: [] }), err =>
+    err instanceof ProviderError && err.status === 401 && err.message === 'Invalid API key');
+});
@@ -0,0 +1,68 @@
+// /test/recipes.test.js
+// Model reply parsing and validation in netlify/lib/recipes.js, and the 502 generate.js returns when it fails.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseRecipeReply, validateRecipes } = require('../netlify/lib/recipes');
+
+const recipe = {
+  title: ' Lentil Soup ',
+  servings: '4',
+  ingredients: [{ name: 'Lentils', quantity: '1.5', unit: 'cups' }, { name: 'Salt', quantity: '', unit: null }],
+  steps: ['Simmer 30 minutes.', ' '],
+  coaching_notes: ['Beans three times a week.']
+};
+const reply = JSON.stringify({ recipes: [recipe], coaching: ['Eat more beans.'] });
+
+test('a plain JSON reply is parsed and normalised', () => {
+  assert.deepStrictEqual(parseRecipeReply(reply), {
+    recipes: [{
+      title: 'Lentil Soup',
+      servings: 4,
+      ingredients: [{ name: 'Lentils', quantity: 1.5, unit: 'cups' }, { name: 'Salt', quantity: null, unit: '' }],
+      steps: ['Simmer 30 minutes.'],
+      coaching_notes: ['Beans three times a week.']
+    }],
+    coaching: ['Eat more beans.']
+  });
+});
+
+test('a reply wrapped in a markdown fence is still parsed', () => {
+  const expected = parseRecipeReply(reply);
+  assert.deepStrictEqual(parseRecipeReply('```json\n' + reply + '\n```'), expected);
+  assert.deepStrictEqual(parseRecipeReply('  ```\n' + reply + '```  '), expected);
+});
+
+test('non-JSON replies are rejected', () => {
+  for (const content of ['', 'Here are your recipes:\n## Lentil Soup', '{"recipes": [', '```json\n{oops}\n```']) {
+    assert.throws(() => parseRecipeReply(content), /reply was not valid JSON/, content);
+  }
+});
+
+test('recipes without ingredients or steps are rejected', () => {
+  const without = changes => JSON.stringify({ recipes: [{ ...recipe, ...changes }] });
+  assert.throws(() => parseRecipeReply(without({ ingredients: undefined })), /recipes\[0\]\.ingredients must be a non-empty array/);
+  assert.throws(() => parseRecipeReply(without({ ingredients: [] })), /recipes\[0\]\.ingredients must be a non-empty array/);
+  assert.throws(() => parseRecipeReply(without({ ingredients: [{ quantity: 1 }] })), /recipes\[0\]\.ingredients\[0\]\.name is missing/);
+  assert.throws(() => parseRecipeReply(without({ steps: undefined })), /recipes\[0\]\.steps must be a non-empty array/);
+  assert.throws(() => parseRecipeReply(without({ steps: [' '] })), /recipes\[0\]\.steps must be a non-empty array/);
+  assert.throws(() => parseRecipeReply(without({ steps: 'Simmer.' })), /recipes\[0\]\.steps must be an array/);
+  assert.throws(() => validateRecipes({ recipes: [] }), /zero recipes/);
+  assert.throws(() => validateRecipes({ recipe }), /no "recipes" array/);
+});
+
+test('generate.js answers a malformed model reply with a 502', async t => {
+  process.env.LLM_PROVIDER = 'mock';
+  const providers = require('../netlify/lib/providers');
+  t.mock.method(providers, 'getProvider', () => ({ complete: async () => 'Sorry, I cannot help with that.' }));
+  delete require.cache[require.resolve('../netlify/functions/generate')];
+  const { handler } = require('../netlify/functions/generate');
+
+  const res = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-nf-client-connection-ip': '203.0.113.9' },
+    body: JSON.stringify({ mode: 'custom', request: 'soup', nocache: true })
+  });
+  assert.strictEqual(res.statusCode, 502);
+  assert.match(JSON.parse(res.body).error, /malformed reply \(reply was not valid JSON\)/);
+});